@@ -0,0 +1,67 @@
+/**
+ * Service worker: keeps the app shell available offline.
+ * List data is not cached here; the page stores it in IndexedDB and
+ * replays queued edits itself when the connection returns.
+ */
+
+// Bump when the shell files change so old caches are dropped on activate
+const SHELL_CACHE = 'shopping-shell-v1';
+// (/ and /index.html serve the same page, so only / is cached; navigations all fall back to it)
+const SHELL_FILES = ['/', '/manifest.webmanifest', '/icon.svg'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys.filter((key) => key !== SHELL_CACHE).map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // API calls always go to the network (the page handles offline itself)
+  if (request.method !== 'GET' || url.origin !== self.location.origin || url.pathname.startsWith('/api/')) {
+    return;
+  }
+
+  // Page loads (?t=..., ?w=...) are all served by the same shell
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'));
+    return;
+  }
+
+  if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, url.pathname));
+  }
+});
+
+/**
+ * Network first so deploys show up immediately; the cached copy is used
+ * when the request fails (no reception)
+ */
+async function networkFirst(request, cacheKey) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw error;
+  }
+}
@@ -186,6 +186,128 @@ ${userItemsList}
   }));
 }
 
+/**
+ * Aisle categories for list items (store walking order)
+ */
+export const ITEM_CATEGORIES = [
+  'produce', 'bakery', 'meat', 'seafood', 'dairy', 'frozen',
+  'pantry', 'snacks', 'drinks', 'household', 'personal-care',
+];
+
+/**
+ * Category dictionary: Japanese keyword → English terms and the aisle category
+ * (more specific words first: 「塩鮭」 is seafood, not pantry). Broad keys such as
+ * 「肉」 or 「油」 are fine for guessing an aisle but too loose for picking a
+ * product, so the catalog matcher keeps its own CATALOG_KEYWORDS below.
+ */
+const ITEM_KEYWORDS = {
+  '牛肉': { terms: ['beef', 'mince', 'scotch', 'steak'], category: 'meat' },
+  '豚肉': { terms: ['pork', 'bacon', 'ham'], category: 'meat' },
+  '鶏肉': { terms: ['chicken', 'breast', 'thigh'], category: 'meat' },
+  'ひき肉': { terms: ['mince'], category: 'meat' },
+  'ベーコン': { terms: ['bacon'], category: 'meat' },
+  'ソーセージ': { terms: ['sausage'], category: 'meat' },
+  'ハム': { terms: ['ham'], category: 'meat' },
+  '肉': { terms: ['lamb', 'meat'], category: 'meat' },
+  '鮭': { terms: ['salmon'], category: 'seafood' },
+  'サーモン': { terms: ['salmon'], category: 'seafood' },
+  'まぐろ': { terms: ['tuna'], category: 'seafood' },
+  'えび': { terms: ['prawn', 'shrimp'], category: 'seafood' },
+  '魚': { terms: ['fish', 'salmon', 'tuna', 'prawn'], category: 'seafood' },
+  'アイス': { terms: ['ice cream'], category: 'frozen' },
+  '冷凍': { terms: ['frozen'], category: 'frozen' },
+  '牛乳': { terms: ['milk', 'dairy'], category: 'dairy' },
+  '卵': { terms: ['egg'], category: 'dairy' },
+  'たまご': { terms: ['egg'], category: 'dairy' },
+  'チーズ': { terms: ['cheese'], category: 'dairy' },
+  'バター': { terms: ['butter'], category: 'dairy' },
+  'ヨーグルト': { terms: ['yogurt', 'yoghurt'], category: 'dairy' },
+  '生クリーム': { terms: ['cream'], category: 'dairy' },
+  'パン': { terms: ['bread', 'loaf'], category: 'bakery' },
+  'ベーグル': { terms: ['bagel'], category: 'bakery' },
+  '野菜': { terms: ['vegetable', 'tomato', 'carrot', 'potato', 'onion', 'broccoli'], category: 'produce' },
+  'トマト': { terms: ['tomato'], category: 'produce' },
+  'にんじん': { terms: ['carrot'], category: 'produce' },
+  '人参': { terms: ['carrot'], category: 'produce' },
+  'じゃがいも': { terms: ['potato'], category: 'produce' },
+  '玉ねぎ': { terms: ['onion'], category: 'produce' },
+  'たまねぎ': { terms: ['onion'], category: 'produce' },
+  'キャベツ': { terms: ['cabbage'], category: 'produce' },
+  'レタス': { terms: ['lettuce'], category: 'produce' },
+  'ほうれん草': { terms: ['spinach'], category: 'produce' },
+  'きのこ': { terms: ['mushroom'], category: 'produce' },
+  'バナナ': { terms: ['banana'], category: 'produce' },
+  'りんご': { terms: ['apple'], category: 'produce' },
+  '果物': { terms: ['fruit', 'orange', 'grape', 'berries'], category: 'produce' },
+  'ジュース': { terms: ['juice'], category: 'drinks' },
+  'コーヒー': { terms: ['coffee'], category: 'drinks' },
+  'お茶': { terms: ['tea'], category: 'drinks' },
+  'ビール': { terms: ['beer'], category: 'drinks' },
+  '水': { terms: ['water'], category: 'drinks' },
+  'お菓子': { terms: ['chocolate', 'chips', 'biscuit'], category: 'snacks' },
+  'チョコ': { terms: ['chocolate'], category: 'snacks' },
+  'ポテトチップス': { terms: ['chips', 'crisps'], category: 'snacks' },
+  '米': { terms: ['rice'], category: 'pantry' },
+  'パスタ': { terms: ['pasta', 'spaghetti'], category: 'pantry' },
+  '麺': { terms: ['noodle'], category: 'pantry' },
+  '醤油': { terms: ['soy sauce'], category: 'pantry' },
+  '味噌': { terms: ['miso'], category: 'pantry' },
+  '砂糖': { terms: ['sugar'], category: 'pantry' },
+  '小麦粉': { terms: ['flour'], category: 'pantry' },
+  '油': { terms: ['oil'], category: 'pantry' },
+  '缶詰': { terms: ['canned', 'tinned'], category: 'pantry' },
+  '塩': { terms: ['salt'], category: 'pantry' },
+  'トイレットペーパー': { terms: ['toilet paper', 'toilet tissue'], category: 'household' },
+  'ティッシュ': { terms: ['tissue'], category: 'household' },
+  '洗剤': { terms: ['detergent', 'dishwashing'], category: 'household' },
+  'ゴミ袋': { terms: ['garbage bag', 'bin liner'], category: 'household' },
+  'シャンプー': { terms: ['shampoo', 'conditioner'], category: 'personal-care' },
+  '歯磨き粉': { terms: ['toothpaste'], category: 'personal-care' },
+  '石鹸': { terms: ['soap', 'body wash'], category: 'personal-care' },
+};
+
+/**
+ * Guess an item's aisle category from its label with the keyword dictionary
+ * Returns null when nothing matches.
+ */
+export function categorizeItem(label) {
+  const query = String(label || '').toLowerCase();
+  if (!query) return null;
+
+  for (const [japanese, { category }] of Object.entries(ITEM_KEYWORDS)) {
+    if (query.includes(japanese)) return category;
+  }
+
+  // English terms must be whole words, plurals allowed ("eggs" is egg,
+  // "eggplant" is not, and "shampoo" is not "ham")
+  for (const { terms, category } of Object.values(ITEM_KEYWORDS)) {
+    if (terms.some((term) => new RegExp(`(^|[^a-z])${term}(e?s)?($|[^a-z])`).test(query))) return category;
+  }
+
+  return null;
+}
+
+/**
+ * Keyword mappings for catalog matching (Japanese → English product terms)
+ */
+const CATALOG_KEYWORDS = {
+  '牛肉': ['beef', 'mince', 'scotch', 'steak'],
+  '豚肉': ['pork', 'bacon', 'ham'],
+  '鶏肉': ['chicken', 'breast', 'thigh'],
+  '魚': ['fish', 'salmon', 'tuna', 'prawn'],
+  '牛乳': ['milk', 'dairy'],
+  'パン': ['bread', 'loaf'],
+  '卵': ['egg'],
+  'チーズ': ['cheese'],
+  'バター': ['butter'],
+  'ヨーグルト': ['yogurt', 'yoghurt'],
+  '野菜': ['vegetable', 'tomato', 'carrot', 'potato', 'onion', 'broccoli'],
+  'トマト': ['tomato'],
+  'にんじん': ['carrot'],
+  'じゃがいも': ['potato'],
+  '玉ねぎ': ['onion'],
+};
+
 /**
  * Simple keyword-based fallback matching
  * Used when AI matching fails
@@ -194,27 +316,8 @@ export function simpleKeywordMatch(userInput, catalogItems) {
   const query = userInput.toLowerCase();
   const matches = [];
   
-  // Keyword mappings (Japanese → English)
-  const keywords = {
-    '牛肉': ['beef', 'mince', 'scotch', 'steak'],
-    '豚肉': ['pork', 'bacon', 'ham'],
-    '鶏肉': ['chicken', 'breast', 'thigh'],
-    '魚': ['fish', 'salmon', 'tuna', 'prawn'],
-    '牛乳': ['milk', 'dairy'],
-    'パン': ['bread', 'loaf'],
-    '卵': ['egg'],
-    'チーズ': ['cheese'],
-    'バター': ['butter'],
-    'ヨーグルト': ['yogurt', 'yoghurt'],
-    '野菜': ['vegetable', 'tomato', 'carrot', 'potato', 'onion', 'broccoli'],
-    'トマト': ['tomato'],
-    'にんじん': ['carrot'],
-    'じゃがいも': ['potato'],
-    '玉ねぎ': ['onion'],
-  };
-  
   // Direct keyword match
-  for (const [japanese, englishTerms] of Object.entries(keywords)) {
+  for (const [japanese, englishTerms] of Object.entries(CATALOG_KEYWORDS)) {
     if (query.includes(japanese)) {
       for (const item of catalogItems) {
         const itemName = item.name.toLowerCase();
@@ -315,9 +418,32 @@ export async function enhanceWithCatalogPrices(aiGeneratedItems, catalogItems, a
         savings: matchResult.bestMatch.wasPrice 
           ? (matchResult.bestMatch.wasPrice - matchResult.bestMatch.price)
           : 0,
+        product: toListProduct(matchResult.bestMatch),
       };
     }
     
     return item;
   });
 }
+
+/**
+ * Convert a catalog product into the `product` stored on a list item
+ *
+ * カタログ商品 → リストアイテムの product（不正なURL・価格は落とす）
+ */
+export function toListProduct(catalogItem) {
+  const price = Number(catalogItem.price);
+  const wasPrice = Number(catalogItem.wasPrice);
+  const product = {
+    store: catalogItem.store || undefined,
+    productId: catalogItem.productId ? String(catalogItem.productId) : undefined,
+    name: catalogItem.name,
+    price: Number.isFinite(price) && price >= 0 ? price : undefined,
+    wasPrice: Number.isFinite(wasPrice) && wasPrice > 0 ? wasPrice : undefined,
+    onSpecial: typeof catalogItem.onSpecial === 'boolean' ? catalogItem.onSpecial : undefined,
+    size: catalogItem.size || undefined,
+    url: /^https?:\/\//i.test(catalogItem.url || '') ? catalogItem.url : undefined,
+  };
+
+  return Object.fromEntries(Object.entries(product).filter(([, value]) => value !== undefined));
+}
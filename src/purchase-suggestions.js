@@ -0,0 +1,120 @@
+/**
+ * Purchase Suggestions (いつもの買い物)
+ *
+ * 購入履歴から「そろそろ買う頃」のアイテムを推定する（LLMは使わない）:
+ * - 牛乳・卵・パンのように定期的に買うものは、購入日の間隔がほぼ一定
+ * - ラベルを正規化して同じアイテムの購入をまとめ、間隔の中央値を買い替え周期とする
+ * - 前回の購入から周期の大部分が過ぎたものを提案（リストにあるものは除く）
+ *
+ * アプローチ:
+ * 1. 購入履歴（新しい順）をアイテムごとにまとめる
+ * 2. 同じ日の購入は1回と数える
+ * 3. 経過日数 / 周期 が DUE_RATIO 以上なら提案、MAX_OVERDUE_RATIO を超えたら買うのをやめたとみなす
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Purchases closer together than this count as one shopping trip
+const SAME_TRIP_MS = 12 * 60 * 60 * 1000;
+
+// Suggest an item once this share of its interval has passed...
+const DUE_RATIO = 0.8;
+
+// ...but not once it is this many intervals overdue (probably no longer bought)
+const MAX_OVERDUE_RATIO = 3;
+
+// Shortest repurchase interval considered (stops same-week top-ups looking daily)
+const MIN_INTERVAL_DAYS = 1;
+
+/**
+ * Normalize a label for matching purchases of the same item:
+ * 「Milk」「 milk 」「ＭＩＬＫ」 → "milk"
+ */
+export function normalizePurchaseLabel(label) {
+  if (typeof label !== 'string') return '';
+  return label.normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Estimate each item's repurchase interval from the purchase log.
+ * Returns one entry per item bought on at least two trips, with the details of
+ * its latest purchase (label, tags, quantity, product) for re-adding it.
+ */
+export function estimateRepurchaseIntervals(purchases) {
+  const byItem = new Map();
+
+  for (const entry of Array.isArray(purchases) ? purchases : []) {
+    const key = normalizePurchaseLabel(entry && entry.label);
+    const purchasedAt = Number(entry && entry.purchased_at);
+    if (!key || !Number.isFinite(purchasedAt)) continue;
+
+    if (!byItem.has(key)) {
+      byItem.set(key, []);
+    }
+    byItem.get(key).push({ ...entry, purchased_at: purchasedAt });
+  }
+
+  const estimates = [];
+  for (const [key, entries] of byItem) {
+    entries.sort((a, b) => a.purchased_at - b.purchased_at);
+
+    const trips = [];
+    for (const entry of entries) {
+      const lastTrip = trips[trips.length - 1];
+      if (lastTrip && entry.purchased_at - lastTrip.purchased_at < SAME_TRIP_MS) {
+        trips[trips.length - 1] = entry;
+      } else {
+        trips.push(entry);
+      }
+    }
+
+    if (trips.length < 2) continue;
+
+    const intervals = trips.slice(1).map((trip, index) => (trip.purchased_at - trips[index].purchased_at) / DAY_MS);
+    const latest = trips[trips.length - 1];
+
+    estimates.push({
+      key,
+      label: latest.label.trim(),
+      tags: Array.isArray(latest.tags) ? latest.tags : [],
+      quantity: latest.quantity ?? null,
+      unit: latest.unit ?? null,
+      product: latest.product || null,
+      purchase_count: trips.length,
+      interval_days: Math.max(MIN_INTERVAL_DAYS, median(intervals)),
+      last_purchased_at: latest.purchased_at,
+    });
+  }
+
+  return estimates;
+}
+
+/**
+ * Suggest items that are probably due, most overdue first.
+ * Options: now, listItems (items already on the list are skipped), limit
+ */
+export function suggestDueItems(purchases, { now = Date.now(), listItems = [], limit = 8 } = {}) {
+  const onList = new Set(listItems.map((item) => normalizePurchaseLabel(item && item.label)));
+
+  return estimateRepurchaseIntervals(purchases)
+    .filter((estimate) => !onList.has(estimate.key))
+    .map((estimate) => {
+      const elapsedDays = (now - estimate.last_purchased_at) / DAY_MS;
+      return {
+        ...estimate,
+        interval_days: Math.round(estimate.interval_days * 10) / 10,
+        due_in_days: Math.round(estimate.interval_days - elapsedDays),
+        ratio: elapsedDays / estimate.interval_days,
+      };
+    })
+    .filter((suggestion) => suggestion.ratio >= DUE_RATIO && suggestion.ratio <= MAX_OVERDUE_RATIO)
+    .sort((a, b) => b.ratio - a.ratio || b.purchase_count - a.purchase_count)
+    .slice(0, limit)
+    .map(({ key, ratio, ...suggestion }) => suggestion);
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
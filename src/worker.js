@@ -51,6 +51,15 @@
  *       "tags": ["Woolies"],
  *       "checked": false,
  *       "pos": 0,
+ *       "quantity": 500,   (optional, with "unit": g | kg | ml | L | pack | each)
+ *       "unit": "g",
+ *       "note": "...",     (optional)
+ *       "category": "meat", (optional aisle category, guessed from the label when left out)
+ *       "product": {       (optional, linked catalog product)
+ *         "store": "Woolies", "productId": "123", "name": "...", "price": 12.5,
+ *         "wasPrice": 15, "onSpecial": true, "size": "500g", "url": "https://...",
+ *         "priced_at": 1234567890
+ *       },
  *       "updated_at": 1234567890
  *     },
  *     ...
@@ -77,20 +86,115 @@ import {
 import {
   hybridMatch,
   enhanceWithCatalogPrices,
-  simpleKeywordMatch
+  simpleKeywordMatch,
+  toListProduct,
+  categorizeItem,
+  ITEM_CATEGORIES
 } from './catalog-ai-matcher.js';
 
+// Import purchase-frequency suggestions
+import { suggestDueItems } from './purchase-suggestions.js';
+
 // CORS headers
 const CORS_HEADERS = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, PUT, POST, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, PUT, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match, Authorization, X-List-Token',
+  'Access-Control-Expose-Headers': 'ETag, Retry-After',
   'Access-Control-Max-Age': '86400',
 };
 
+// Item fields merged independently, each with its own timestamp in field_updated_at
+const ITEM_MERGE_FIELDS = [
+  'label', 'checked', 'checked_by', 'tags', 'pos', 'quantity', 'unit', 'note', 'product', 'category',
+];
+
+// Optional item fields: a payload that leaves them out (older clients) never
+// overwrites them, and they are omitted from the document while unset
+const OPTIONAL_ITEM_FIELDS = ['checked_by', 'quantity', 'unit', 'note', 'product', 'category'];
+
+// Name of whoever ticked an item (item.checked_by, sent by the client)
+const MAX_CHECKED_BY_LENGTH = 50;
+
+// Units accepted with an item's quantity
+const ITEM_UNITS = ['g', 'kg', 'ml', 'L', 'pack', 'each'];
+
+// Catalog product linked to an item: text fields kept on item.product and their length caps
+const PRODUCT_TEXT_FIELDS = ['store', 'productId', 'name', 'size'];
+const MAX_PRODUCT_TEXT_LENGTH = 200;
+const MAX_PRODUCT_URL_LENGTH = 2048;
+
 // Token validation: alphanumeric, underscore, hyphen, min 16 chars
 const TOKEN_PATTERN = /^[a-zA-Z0-9_-]{16,}$/;
 
+// List document rules (each can be overridden with an environment variable)
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TOMBSTONE_RETENTION_DAYS = 30; // TOMBSTONE_RETENTION_DAYS
+const DEFAULT_HISTORY_LIMIT = 50; // HISTORY_LIMIT (versions kept per list)
+const DEFAULT_HISTORY_MERGE_SECONDS = 60; // HISTORY_MERGE_SECONDS (0 keeps every version)
+const DEFAULT_TRASH_RETENTION_DAYS = 30; // TRASH_RETENTION_DAYS
+const DEFAULT_PURCHASE_LOG_LIMIT = 1000; // PURCHASE_LOG_LIMIT (purchases kept per list)
+
+// Document size limits, checked on every write (PUT, /ops and the socket)
+const DEFAULT_LIST_LIMITS = {
+  maxItems: 500, // MAX_ITEMS
+  maxLabelLength: 200, // MAX_LABEL_LENGTH
+  maxTagsPerItem: 10, // MAX_TAGS_PER_ITEM
+  maxTagLength: 30, // MAX_TAG_LENGTH
+  maxNoteLength: 500, // MAX_NOTE_LENGTH
+  maxBodyBytes: 256 * 1024, // MAX_BODY_BYTES
+};
+const BODY_ENCODER = new TextEncoder();
+
+// View-only share tokens start with this prefix and map to a list token via view:<token>
+const VIEW_TOKEN_PREFIX = 'ro_';
+
+// Passphrase lock: PBKDF2-SHA256 via WebCrypto (Workers cap PBKDF2 at 100k iterations)
+const LOCK_PBKDF2_ITERATIONS = 100000;
+const MIN_PASSPHRASE_LENGTH = 4;
+const DEFAULT_SESSION_TTL_HOURS = 12; // LIST_SESSION_TTL_HOURS
+const SESSION_COOKIE = 'list_session';
+
+// Per-route budgets for endpoints that spend OpenRouter / RapidAPI quota
+// (and for passphrase guesses).
+// Override per route with the RATE_LIMITS env var (JSON), e.g.
+// {"/api/generate": {"perToken": 5, "perIp": 20, "windowSeconds": 3600}}
+const DEFAULT_RATE_LIMITS = {
+  '/api/generate': { perToken: 20, perIp: 60, windowSeconds: 3600 },
+  '/api/filter-specials': { perToken: 30, perIp: 90, windowSeconds: 3600 },
+  '/api/ai-match': { perToken: 30, perIp: 90, windowSeconds: 3600 },
+  '/api/ai-match-rapidapi': { perToken: 30, perIp: 90, windowSeconds: 3600 },
+  // Passphrase guesses (counted per list, whichever link is used)
+  '/api/list/:token/unlock': { perToken: 10, perIp: 30, windowSeconds: 900 },
+};
+
+// Workspace list names (shown in the list switcher)
+const MAX_LIST_NAME_LENGTH = 50;
+
+// Actions accepted by POST /api/list/:token/bulk
+const BULK_ACTIONS = ['clear-checked', 'uncheck-all', 'delete-ids', 'retag-ids', 'set-checked-ids'];
+
+// Purchase log paging (GET /api/list/:token/purchases)
+const DEFAULT_PURCHASES_PAGE_SIZE = 50;
+const MAX_PURCHASES_PAGE_SIZE = 200;
+
+// "Usual items" suggestions (GET /api/list/:token/suggestions)
+const DEFAULT_SUGGESTIONS_LIMIT = 8;
+const MAX_SUGGESTIONS_LIMIT = 20;
+
+// Store layouts (per-store aisle order), kept on a list or a workspace
+const MAX_STORE_LAYOUTS = 20;
+
+// ListRoom: Durable Object storage key of the authoritative list document
+const ROOM_DOCUMENT_KEY = 'doc';
+
+// Server-Sent Events: keepalive interval and frame encoder
+const SSE_HEARTBEAT_MS = 25000;
+const SSE_ENCODER = new TextEncoder();
+
+// Long poll (/wait): how long a request is held before answering 204
+const DEFAULT_LONG_POLL_TIMEOUT_SECONDS = 25; // LONG_POLL_TIMEOUT_SECONDS
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -121,6 +225,14 @@ export default {
       }
     }
 
+    // AI and RapidAPI routes are rate limited per list token and per IP
+    if (method === 'POST' && DEFAULT_RATE_LIMITS[url.pathname]) {
+      const limited = await checkRateLimit(request, env, url.pathname);
+      if (limited) {
+        return limited;
+      }
+    }
+
     // Parse path: /api/generate
     if (url.pathname === '/api/generate' && method === 'POST') {
       return await handleGenerate(request, env);
@@ -156,200 +268,3109 @@ export default {
       return await handleAIMatch(request, env);
     }
 
-    // Parse path: /api/ai-match-rapidapi (AI matching with RapidAPI)
-    if (url.pathname === '/api/ai-match-rapidapi' && method === 'POST') {
-      return await handleAIMatchRapidAPI(request, env);
+    // Parse path: /api/ai-match-rapidapi (AI matching with RapidAPI)
+    if (url.pathname === '/api/ai-match-rapidapi' && method === 'POST') {
+      return await handleAIMatchRapidAPI(request, env);
+    }
+
+    // Parse path: /api/filter-specials (Filter specials by user's list using AI)
+    if (url.pathname === '/api/filter-specials' && method === 'POST') {
+      return await handleFilterSpecials(request, env);
+    }
+
+    // Parse path: /api/clear-cache (Clear RapidAPI cache - for development)
+    if (url.pathname === '/api/clear-cache' && method === 'POST') {
+      try {
+        await env.SHOPLIST.delete('catalog:specials:rapidapi');
+        return jsonResponse({ status: 'success', message: 'Cache cleared' });
+      } catch (error) {
+        return jsonResponse({ error: 'Failed to clear cache' }, 500);
+      }
+    }
+
+    // Parse path: /api/workspace/:ws, /api/workspace/:ws/lists[/:id], /api/workspace/:ws/reorder
+    // and /api/workspace/:ws/layouts
+    const workspaceMatch = url.pathname.match(/^\/api\/workspace\/([^/]+)(?:\/(lists|reorder|layouts)(?:\/([^/]+))?)?$/);
+    if (workspaceMatch) {
+      const [, workspaceToken, section = null, listId = null] = workspaceMatch;
+
+      if (!TOKEN_PATTERN.test(workspaceToken)) {
+        return jsonResponse({ error: 'Invalid token format' }, 400);
+      }
+
+      try {
+        if (!section && method === 'GET') {
+          return await handleGetWorkspace(env, workspaceToken);
+        }
+        if (section === 'lists' && !listId && method === 'POST') {
+          return await handleCreateWorkspaceList(request, env, workspaceToken);
+        }
+        if (section === 'lists' && listId && method === 'PATCH') {
+          return await handleUpdateWorkspaceList(request, env, workspaceToken, listId);
+        }
+        if (section === 'lists' && listId && method === 'DELETE') {
+          return await handleDeleteWorkspaceList(request, env, workspaceToken, listId);
+        }
+        if (section === 'reorder' && !listId && method === 'POST') {
+          return await handleReorderWorkspace(request, env, workspaceToken);
+        }
+        if (section === 'layouts' && !listId && method === 'PUT') {
+          return await handleSetWorkspaceLayouts(request, env, workspaceToken);
+        }
+        return jsonResponse({ error: 'Method not allowed' }, 405);
+      } catch (error) {
+        console.error('Error:', error);
+        return jsonResponse({ error: 'Internal server error' }, 500);
+      }
+    }
+
+    // Parse path: /api/list/:token and /api/list/:token/:action
+    const pathMatch = url.pathname.match(/^\/api\/list\/([^/]+)(?:\/([a-z-]+))?$/);
+    if (!pathMatch) {
+      return jsonResponse({ error: 'Invalid path' }, 404);
+    }
+
+    const pathToken = pathMatch[1];
+    let token = pathToken;
+    const action = pathMatch[2] || null;
+
+    // Validate token format
+    if (!TOKEN_PATTERN.test(token)) {
+      return jsonResponse({ error: 'Invalid token format' }, 400);
+    }
+
+    try {
+      // View-only links read the list they were minted for and cannot change it
+      const access = isViewToken(token) ? 'view' : 'edit';
+      if (access === 'view') {
+        const listToken = await resolveViewToken(env.SHOPLIST, token);
+        if (!listToken) {
+          return jsonResponse({ error: 'Share link not found' }, 404);
+        }
+        if (!isReadOnlyRequest(method, action)) {
+          return jsonResponse({ error: 'This share link is view-only' }, 403);
+        }
+        token = listToken;
+      }
+
+      // Rotated tokens forward to the list's current token until revoked
+      if (access === 'edit') {
+        const redirect = await checkListRedirect(env.SHOPLIST, token, url, action);
+        if (redirect) {
+          return redirect;
+        }
+      }
+
+      // Passphrase-protected lists need a session from POST /unlock
+      if (action === 'unlock' && method === 'POST') {
+        const limited = await checkRateLimit(request, env, '/api/list/:token/unlock', token);
+        if (limited) {
+          return limited;
+        }
+        return await handleUnlock(request, env, token, access, pathToken);
+      }
+
+      const locked = await checkListLock(request, env, token, access);
+      if (locked) {
+        return locked;
+      }
+
+      if (action === 'lock' && method === 'POST') {
+        return await runListWrite(request, env, token, 'lock');
+      }
+
+      if (action === 'lock' && method === 'DELETE') {
+        return await runListWrite(request, env, token, 'remove-lock');
+      }
+
+      if (action === 'ws') {
+        return await handleListSocket(request, env, token, access);
+      }
+
+      if (action === 'rotate' && method === 'POST') {
+        return await runListWrite(request, env, token, 'rotate');
+      }
+
+      if (action === 'revoke' && method === 'POST') {
+        return await handleRevoke(request, env, token);
+      }
+
+      if (action === 'view-token' && method === 'POST') {
+        return await handleCreateViewToken(env, token);
+      }
+
+      if (action === 'events' && method === 'GET') {
+        return await handleListEvents(request, env, token);
+      }
+
+      if (action === 'wait' && method === 'GET') {
+        return await handleListWait(request, env, token);
+      }
+
+      if (action === 'ops' && method === 'POST') {
+        return await runListWrite(request, env, token, 'ops');
+      }
+
+      if (action === 'bulk' && method === 'POST') {
+        return await runListWrite(request, env, token, 'bulk');
+      }
+
+      if (action === 'reorder' && method === 'POST') {
+        return await runListWrite(request, env, token, 'reorder');
+      }
+
+      if (action === 'layouts' && method === 'PUT') {
+        return await runListWrite(request, env, token, 'layouts');
+      }
+
+      if (action === 'history' && method === 'GET') {
+        return await handleHistory(env, token);
+      }
+
+      if (action === 'purchases' && method === 'GET') {
+        return await handlePurchases(request, env, token);
+      }
+
+      if (action === 'suggestions' && method === 'GET') {
+        return await handleSuggestions(request, env, token);
+      }
+
+      if (action === 'restore' && method === 'POST') {
+        return await runListWrite(request, env, token, 'restore');
+      }
+
+      if (action === 'undelete' && method === 'POST') {
+        return await runListWrite(request, env, token, 'undelete');
+      }
+
+      if (action === 'purge' && method === 'POST') {
+        return await handlePurge(env, token);
+      }
+
+      if (action) {
+        return jsonResponse({ error: 'Invalid path' }, 404);
+      }
+
+      switch (method) {
+        case 'GET':
+          return await handleGet(request, env, token);
+        case 'PUT':
+          return await runListWrite(request, env, token, 'put');
+        case 'DELETE':
+          return await handleDelete(env, token);
+        default:
+          return jsonResponse({ error: 'Method not allowed' }, 405);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      return jsonResponse({ error: 'Internal server error' }, 500);
+    }
+  },
+};
+
+/**
+ * GET /api/list/:token
+ * Returns the list document or default empty list.
+ * The ETag is built from the document version; If-None-Match gets a 304.
+ */
+async function handleGet(request, env, token) {
+  const doc = await loadListDocument(env.SHOPLIST, token);
+  const etag = listEtag(doc);
+
+  if (etagMatches(request.headers.get('If-None-Match'), etag)) {
+    return new Response(null, {
+      status: 304,
+      headers: { ETag: etag, ...CORS_HEADERS },
+    });
+  }
+
+  return jsonResponse(toPublicDocument(doc), 200, { ETag: etag });
+}
+
+/**
+ * PUT /api/list/:token
+ * Updates the list document with validation and pos renumbering.
+ * With If-Match the write is strict: a version mismatch returns 409 with the
+ * current server document instead of merging.
+ */
+async function handlePut(request, env, token, store = kvListStore(env, token)) {
+  const config = getListConfig(env);
+
+  let body;
+  try {
+    body = await readListBody(request, config.limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const existingDoc = await store.load();
+
+  const conflict = checkIfMatch(request, existingDoc);
+  if (conflict) {
+    return conflict;
+  }
+
+  let mergedDoc;
+  try {
+    mergedDoc = mergeListDocument(existingDoc, body, config);
+  } catch (error) {
+    return validationErrorResponse(error, 'Invalid item data');
+  }
+
+  await store.save(mergedDoc, existingDoc);
+  await recordPurchases(env, token, removedCheckedItems(existingDoc, mergedDoc), mergedDoc.updated_at);
+
+  return jsonResponse(toPublicDocument(mergedDoc), 200, { ETag: listEtag(mergedDoc) });
+}
+
+/**
+ * POST /api/list/:token/ops
+ * Applies a batch of typed item operations to the stored document.
+ * Body: { ops: [{ type, id, ts, ... }] } (see applyListOps)
+ * The batch is validated as a whole before anything is written.
+ */
+async function handleOps(request, env, token, store = kvListStore(env, token)) {
+  const config = getListConfig(env);
+
+  let body;
+  try {
+    body = await readListBody(request, config.limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const existingDoc = await store.load();
+
+  const conflict = checkIfMatch(request, existingDoc);
+  if (conflict) {
+    return conflict;
+  }
+
+  let result;
+  try {
+    result = applyListOps(existingDoc, body && body.ops, config);
+  } catch (error) {
+    return validationErrorResponse(error, 'Invalid ops');
+  }
+
+  await store.save(result.doc, existingDoc);
+  await recordPurchases(env, token, purchasedItems(existingDoc, body.ops, result.skipped), result.doc.updated_at);
+
+  return jsonResponse({
+    ok: true,
+    version: result.doc.version,
+    updated_at: result.doc.updated_at,
+    applied: body.ops.length - result.skipped.length,
+    skipped: result.skipped,
+  }, 200, { ETag: listEtag(result.doc) });
+}
+
+/**
+ * POST /api/list/:token/bulk
+ * Applies one action to many items as a single new version. Body: { action, ... }
+ *   clear-checked     {}                 delete every checked item (recorded in the purchase log)
+ *   uncheck-all       {}                 untick every checked item
+ *   delete-ids        { ids }            delete the items (checked ones are recorded in the purchase log)
+ *   retag-ids         { ids, tags }
+ *   set-checked-ids   { ids, checked, by? }
+ * Runs as one batch of ops, validated before anything is written; ids that
+ * no longer exist (or were edited after this request) are returned in skipped.
+ */
+async function handleBulk(request, env, token, store = kvListStore(env, token)) {
+  const config = getListConfig(env);
+
+  let body;
+  try {
+    body = await readListBody(request, config.limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const existingDoc = await store.load();
+
+  const conflict = checkIfMatch(request, existingDoc);
+  if (conflict) {
+    return conflict;
+  }
+
+  let ops;
+  try {
+    ops = bulkActionOps(existingDoc.items, body, Date.now(), config.limits);
+  } catch (error) {
+    return validationErrorResponse(error, 'Invalid bulk action');
+  }
+
+  const unknownIds = Array.isArray(body.ids)
+    ? body.ids.filter((id) => !existingDoc.items.some((item) => item.id === id))
+    : [];
+
+  if (ops.length === 0) {
+    return jsonResponse({
+      ok: true,
+      action: body.action,
+      version: existingDoc.version,
+      affected: 0,
+      skipped: unknownIds,
+    }, 200, { ETag: listEtag(existingDoc) });
+  }
+
+  let result;
+  try {
+    result = applyListOps(existingDoc, ops, config);
+  } catch (error) {
+    return validationErrorResponse(error, 'Invalid bulk action');
+  }
+
+  await store.save(result.doc, existingDoc, { bulk: body.action });
+  await recordPurchases(env, token, purchasedItems(existingDoc, ops, result.skipped), result.doc.updated_at);
+
+  return jsonResponse({
+    ok: true,
+    action: body.action,
+    version: result.doc.version,
+    updated_at: result.doc.updated_at,
+    affected: ops.length - result.skipped.length,
+    skipped: [...unknownIds, ...result.skipped.map((index) => ops[index].id)],
+  }, 200, { ETag: listEtag(result.doc) });
+}
+
+/**
+ * Helper: Ops for a bulk action (see handleBulk), targeting only items that
+ * exist and would change. Throws a ValidationError on a malformed body.
+ */
+function bulkActionOps(items, body, ts, limits) {
+  const action = body && body.action;
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new ValidationError('Invalid bulk action', { field: 'action' });
+  }
+
+  if (action === 'clear-checked') {
+    return items.filter((item) => item.checked).map((item) => ({ type: 'delete', id: item.id, ts, purchased: true }));
+  }
+
+  if (action === 'uncheck-all') {
+    return items.filter((item) => item.checked).map((item) => ({ type: 'toggle', id: item.id, checked: false, ts }));
+  }
+
+  if (!Array.isArray(body.ids) || body.ids.length === 0 || body.ids.some((id) => typeof id !== 'string')) {
+    throw new ValidationError('Missing ids', { field: 'ids' });
+  }
+
+  if (body.ids.length > limits.maxItems) {
+    throw new ValidationError('Too many ids', { status: 413, field: 'ids', limit: limits.maxItems });
+  }
+
+  const targets = [...new Set(body.ids)]
+    .map((id) => items.find((item) => item.id === id))
+    .filter(Boolean);
+
+  switch (action) {
+    case 'delete-ids':
+      // Checked items deleted by id are logged as bought, like clear-checked
+      return targets.map((item) => ({ type: 'delete', id: item.id, ts, ...(item.checked ? { purchased: true } : {}) }));
+    case 'retag-ids':
+      if (!Array.isArray(body.tags)) {
+        throw new ValidationError('Missing tags', { field: 'tags' });
+      }
+      return targets.map((item) => ({ type: 'retag', id: item.id, tags: body.tags, ts }));
+    case 'set-checked-ids':
+      if (typeof body.checked !== 'boolean') {
+        throw new ValidationError('Invalid checked state', { field: 'checked' });
+      }
+      return targets
+        .filter((item) => item.checked !== body.checked)
+        .map((item) => ({ type: 'toggle', id: item.id, checked: body.checked, by: body.by, ts }));
+  }
+}
+
+/**
+ * POST /api/list/:token/reorder
+ * Reorders items without sending the whole list. Body is either
+ *   { ids: [...] }              the new order of those items (other items keep their slots)
+ *   { id, after?, before? }     move one item between its new neighbours
+ *                               (after: null = first, before: null = last)
+ * Applied as move ops, so items added or edited meanwhile are not lost.
+ * Returns 404 for an unknown item and 409 when none of the neighbours exist any more.
+ */
+async function handleReorder(request, env, token, store = kvListStore(env, token)) {
+  const config = getListConfig(env);
+
+  let body;
+  try {
+    body = await readListBody(request, config.limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const existingDoc = await store.load();
+
+  const conflict = checkIfMatch(request, existingDoc);
+  if (conflict) {
+    return conflict;
+  }
+
+  const currentIds = existingDoc.items
+    .filter((item) => item && typeof item.id === 'string')
+    .sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0))
+    .map((item) => item.id);
+
+  let orderedIds;
+  try {
+    orderedIds = reorderItemIds(currentIds, body);
+  } catch (error) {
+    return validationErrorResponse(error, 'Invalid reorder');
+  }
+
+  if (orderedIds === null) {
+    return currentIds.includes(body.id)
+      ? jsonResponse({ error: 'Neighbours not found' }, 409)
+      : jsonResponse({ error: 'Item not found' }, 404);
+  }
+
+  const now = Date.now();
+  const positions = new Map(existingDoc.items.map((item) => [item.id, item.pos]));
+  const ops = orderedIds
+    .map((id, pos) => ({ type: 'move', id, pos, ts: now }))
+    .filter((op) => positions.get(op.id) !== op.pos);
+
+  if (ops.length === 0) {
+    return jsonResponse({ ok: true, version: existingDoc.version, moved: 0, skipped: [] }, 200, { ETag: listEtag(existingDoc) });
+  }
+
+  let result;
+  try {
+    result = applyListOps(existingDoc, ops, config);
+  } catch (error) {
+    return validationErrorResponse(error, 'Invalid reorder');
+  }
+
+  await store.save(result.doc, existingDoc);
+
+  return jsonResponse({
+    ok: true,
+    version: result.doc.version,
+    updated_at: result.doc.updated_at,
+    moved: ops.length - result.skipped.length,
+    skipped: result.skipped.map((index) => ops[index].id),
+  }, 200, { ETag: listEtag(result.doc) });
+}
+
+/**
+ * Helper: New item order for a reorder body (see handleReorder). Returns null
+ * when the moved item or all of its neighbours are gone; throws a
+ * ValidationError on a malformed body.
+ */
+function reorderItemIds(currentIds, body) {
+  if (body && Array.isArray(body.ids)) {
+    if (body.ids.some((id) => typeof id !== 'string')) {
+      throw new ValidationError('Invalid ids', { field: 'ids' });
+    }
+
+    // The listed items fill the slots they hold now, in the given order;
+    // unknown ids (deleted meanwhile) are ignored
+    const listed = [...new Set(body.ids)].filter((id) => currentIds.includes(id));
+    const listedSet = new Set(listed);
+    let next = 0;
+    return currentIds.map((id) => (listedSet.has(id) ? listed[next++] : id));
+  }
+
+  if (!body || typeof body.id !== 'string' || !body.id) {
+    throw new ValidationError('Missing ids or id', { field: 'id' });
+  }
+
+  for (const field of ['after', 'before']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      throw new ValidationError(`Invalid ${field}`, { field });
+    }
+  }
+
+  if (body.after === undefined && body.before === undefined) {
+    throw new ValidationError('Missing after or before', { field: 'after' });
+  }
+
+  if (!currentIds.includes(body.id)) {
+    return null;
+  }
+
+  const rest = currentIds.filter((id) => id !== body.id);
+  let index;
+  if (typeof body.after === 'string' && rest.includes(body.after)) {
+    index = rest.indexOf(body.after) + 1;
+  } else if (typeof body.before === 'string' && rest.includes(body.before)) {
+    index = rest.indexOf(body.before);
+  } else if (body.after === null) {
+    index = 0;
+  } else if (body.before === null) {
+    index = rest.length;
+  } else {
+    return null;
+  }
+
+  rest.splice(index, 0, body.id);
+  return rest;
+}
+
+/**
+ * PUT /api/list/:token/layouts
+ * Replaces the list's store layouts. Body: { layouts: [{ id?, name, store?, aisles }] }
+ * (see normalizeStoreLayouts). Saved as a new version, so sharers get it live;
+ * like the other list writes it is size-checked and honours If-Match.
+ */
+async function handleSetLayouts(request, env, token, store = kvListStore(env, token)) {
+  const config = getListConfig(env);
+
+  let body;
+  try {
+    body = await readListBody(request, config.limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  let layouts;
+  try {
+    layouts = normalizeStoreLayouts(body && body.layouts);
+  } catch (error) {
+    return validationErrorResponse(error, 'Invalid layouts');
+  }
+
+  const existingDoc = await store.load();
+
+  const conflict = checkIfMatch(request, existingDoc);
+  if (conflict) {
+    return conflict;
+  }
+  const updatedDoc = {
+    ...existingDoc,
+    layouts,
+    version: (existingDoc.version || 0) + 1,
+    updated_at: Date.now(),
+  };
+
+  await store.save(updatedDoc, existingDoc);
+
+  return jsonResponse({ ok: true, layouts, version: updatedDoc.version }, 200, { ETag: listEtag(updatedDoc) });
+}
+
+/**
+ * Error for a rejected list write. status is 400 (bad item data) or 413
+ * (document or body over a limit); index/field/limit point at the cause.
+ */
+class ValidationError extends Error {
+  constructor(message, { status = 400, index, field, limit } = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = status;
+    this.index = index;
+    this.field = field;
+    this.limit = limit;
+  }
+
+  toJSON() {
+    return { error: this.message, index: this.index, field: this.field, limit: this.limit };
+  }
+}
+
+/**
+ * Helper: Error response for a failed list write.
+ * Errors that are not ValidationErrors are reported as a plain 400.
+ */
+function validationErrorResponse(error, fallbackMessage = 'Invalid request') {
+  if (error instanceof ValidationError) {
+    return jsonResponse(error.toJSON(), error.status);
+  }
+  return jsonResponse({ error: error.message || fallbackMessage }, 400);
+}
+
+/**
+ * Helper: Parse a list write body, rejecting it (413) before parsing when
+ * it is larger than limits.maxBodyBytes
+ */
+async function readListBody(request, limits) {
+  const declaredLength = Number(request.headers.get('Content-Length'));
+  if (Number.isFinite(declaredLength) && declaredLength > limits.maxBodyBytes) {
+    throw bodyTooLargeError(limits);
+  }
+
+  const text = await request.text();
+  if (BODY_ENCODER.encode(text).length > limits.maxBodyBytes) {
+    throw bodyTooLargeError(limits);
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new ValidationError('Invalid JSON');
+  }
+}
+
+function bodyTooLargeError(limits) {
+  return new ValidationError('Request body too large', { status: 413, limit: limits.maxBodyBytes });
+}
+
+/**
+ * GET /api/list/:token/history
+ * Lists saved versions (newest first) with timestamps and change summaries
+ * (summary.merged: how many rapid edits were folded into the version,
+ * merged_from: the first of them; restoring any of them restores the version)
+ */
+async function handleHistory(env, token) {
+  const versions = await loadHistoryIndex(env.SHOPLIST, token);
+  return jsonResponse({ versions: versions.map(({ snapshot, merge_until: mergeUntil, ...entry }) => entry) });
+}
+
+/**
+ * GET /api/list/:token/purchases
+ * Items cleared from the list as bought, newest first. Query (all optional):
+ *   from, to   YYYY-MM-DD (UTC; `to` includes the whole day) or a ms timestamp
+ *   store      store tag or linked product store (case-insensitive)
+ *   limit      page size (default 50, max 200)
+ *   offset     entries to skip; next_offset is null on the last page
+ */
+async function handlePurchases(request, env, token) {
+  const params = new URL(request.url).searchParams;
+
+  let from;
+  let to;
+  try {
+    from = readPurchaseDate(params.get('from'), 'from');
+    to = readPurchaseDate(params.get('to'), 'to');
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const offset = Number(params.get('offset') || 0);
+  if (!Number.isInteger(offset) || offset < 0) {
+    return jsonResponse({ error: 'Invalid offset' }, 400);
+  }
+
+  const limit = Math.min(
+    Math.ceil(readPositiveNumber(params.get('limit'), DEFAULT_PURCHASES_PAGE_SIZE)),
+    MAX_PURCHASES_PAGE_SIZE
+  );
+  const store = (params.get('store') || '').trim().toLowerCase();
+
+  const matching = (await loadPurchaseLog(env.SHOPLIST, token)).filter((entry) =>
+    (from === null || entry.purchased_at >= from) &&
+    (to === null || entry.purchased_at <= to) &&
+    (!store || purchaseStores(entry).includes(store))
+  );
+
+  return jsonResponse({
+    purchases: matching.slice(offset, offset + limit),
+    total: matching.length,
+    next_offset: offset + limit < matching.length ? offset + limit : null,
+  });
+}
+
+/**
+ * GET /api/list/:token/suggestions
+ * Items bought regularly that are probably due again, estimated from the
+ * purchase log (see purchase-suggestions.js). Items already on the list are
+ * left out. Query: limit (default 8, max 20)
+ */
+async function handleSuggestions(request, env, token) {
+  const params = new URL(request.url).searchParams;
+  const limit = Math.min(
+    Math.ceil(readPositiveNumber(params.get('limit'), DEFAULT_SUGGESTIONS_LIMIT)),
+    MAX_SUGGESTIONS_LIMIT
+  );
+
+  const [purchases, doc] = await Promise.all([
+    loadPurchaseLog(env.SHOPLIST, token),
+    loadListDocument(env.SHOPLIST, token),
+  ]);
+
+  const suggestions = suggestDueItems(purchases, { listItems: doc.items, limit });
+  return jsonResponse({ suggestions });
+}
+
+/**
+ * POST /api/list/:token/restore
+ * Rolls the list back to a saved version. Body: { version }
+ * The restore is saved as a new version; history is never rewritten.
+ */
+async function handleRestore(request, env, token, store = kvListStore(env, token)) {
+  let body;
+  try {
+    body = await readListBody(request, getListConfig(env).limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const version = Number(body && body.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return jsonResponse({ error: 'Missing or invalid version' }, 400);
+  }
+
+  const snapshot = await loadHistorySnapshot(env.SHOPLIST, token, version);
+  if (!snapshot) {
+    return jsonResponse({ error: 'Version not found' }, 404);
+  }
+
+  const existingDoc = await store.load();
+  const restoredDoc = buildRestoredDocument(existingDoc, snapshot, getListConfig(env));
+
+  // Restoring a trashed list starts from an empty document; keep it marked as locked
+  const lock = await loadListLock(env.SHOPLIST, token);
+  if (lock && !isListLocked(restoredDoc)) {
+    restoredDoc.meta = { ...restoredDoc.meta, lock };
+  }
+
+  await store.save(restoredDoc, existingDoc, { restored_from: version });
+
+  return jsonResponse(toPublicDocument(restoredDoc), 200, { ETag: listEtag(restoredDoc) });
+}
+
+/**
+ * DELETE /api/list/:token
+ * Moves the list document to the trash, where it expires after
+ * TRASH_RETENTION_DAYS unless POST /undelete brings it back
+ */
+async function handleDelete(env, token) {
+  const expiresAt = await trashListDocument(env, token);
+
+  if (!expiresAt) {
+    return jsonResponse({ ok: true, trashed: false });
+  }
+
+  return jsonResponse({ ok: true, trashed: true, expires_at: expiresAt });
+}
+
+/**
+ * POST /api/list/:token/undelete
+ * Restores a trashed list as a new version. Items added to a list created
+ * under the same token since the delete are kept.
+ */
+async function handleUndelete(request, env, token, store = kvListStore(env, token)) {
+  const kv = env.SHOPLIST;
+  const trashed = await kv.get(`trash:${token}`, 'text');
+
+  if (!trashed) {
+    return jsonResponse({ error: 'Nothing to undelete' }, 404);
+  }
+
+  const { doc: trashedDoc } = JSON.parse(trashed);
+  const existingDoc = await store.load();
+  const trashedIds = new Set(trashedDoc.items.map((item) => item.id));
+  const now = Date.now();
+
+  // Copies, so the room's document is left untouched until the save
+  const items = [
+    ...trashedDoc.items,
+    ...existingDoc.items.filter((item) => !trashedIds.has(item.id)),
+  ].map((item, index) => ({ ...item, pos: index }));
+  const itemIds = new Set(items.map((item) => item.id));
+
+  const restoredDoc = {
+    ...trashedDoc,
+    items,
+    tombstones: trashedDoc.tombstones.filter((tombstone) => !itemIds.has(tombstone.id)),
+    version: Math.max(trashedDoc.version || 0, existingDoc.version || 0) + 1,
+    updated_at: now,
+  };
+
+  await store.save(restoredDoc, existingDoc, { undeleted: true });
+  await kv.delete(`trash:${token}`);
+
+  return jsonResponse(toPublicDocument(restoredDoc), 200, { ETag: listEtag(restoredDoc) });
+}
+
+/**
+ * POST /api/list/:token/purge
+ * Permanently deletes the list, its trash copy, its history, its purchase log
+ * and its passphrase
+ */
+async function handlePurge(env, token) {
+  const kv = env.SHOPLIST;
+  const versions = await loadHistoryIndex(kv, token);
+
+  await Promise.all([
+    kv.delete(`list:${token}`),
+    kv.delete(`trash:${token}`),
+    kv.delete(`history:${token}`),
+    kv.delete(`purchases:${token}`),
+    kv.delete(`lock:${token}`),
+    ...versions.map((entry) => kv.delete(historyKey(token, entry.version))),
+  ]);
+  await notifyListRoom(env, token, createDefaultDocument(), { reset: true });
+
+  return jsonResponse({ ok: true });
+}
+
+/**
+ * GET /api/workspace/:ws
+ * Returns the workspace document (its lists in switcher order) or an empty one
+ */
+async function handleGetWorkspace(env, workspaceToken) {
+  const workspace = await loadWorkspace(env.SHOPLIST, workspaceToken);
+  return jsonResponse(workspace);
+}
+
+/**
+ * POST /api/workspace/:ws/lists
+ * Creates a list in the workspace. Body: { name, token? }
+ * Passing the token of an existing list adds that list instead of a new one
+ * (a passphrase-protected list needs a session for it; view-only tokens are refused).
+ */
+async function handleCreateWorkspaceList(request, env, workspaceToken) {
+  let body;
+  try {
+    body = await readListBody(request, getListConfig(env).limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const name = readListName(body && body.name);
+  if (!name) {
+    return jsonResponse({ error: 'Missing list name' }, 400);
+  }
+
+  const listToken = body.token === undefined ? generateToken() : body.token;
+  if (typeof listToken !== 'string' || !TOKEN_PATTERN.test(listToken)) {
+    return jsonResponse({ error: 'Invalid token format' }, 400);
+  }
+
+  // A view-only link names no list of its own; workspaces hold edit tokens
+  if (isViewToken(listToken)) {
+    return jsonResponse({ error: 'View-only links cannot be added to a workspace' }, 400);
+  }
+
+  if (body.token !== undefined) {
+    const locked = await checkListLock(request, env, listToken);
+    if (locked) {
+      return locked;
+    }
+  }
+
+  const kv = env.SHOPLIST;
+  const workspace = await loadWorkspace(kv, workspaceToken);
+  if (workspace.lists.some((list) => list.token === listToken)) {
+    return jsonResponse({ error: 'List already in workspace' }, 409);
+  }
+
+  const list = {
+    id: crypto.randomUUID(),
+    name,
+    token: listToken,
+    pos: workspace.lists.length,
+    archived: false,
+    created_at: Date.now(),
+  };
+
+  const titled = await runWorkspaceListWrite(env, listToken, { title: name, only_new: true });
+  if (!titled.ok) {
+    return titled;
+  }
+
+  workspace.lists.push(list);
+  await storeWorkspace(kv, workspaceToken, workspace);
+
+  return jsonResponse({ list, workspace }, 201);
+}
+
+/**
+ * PATCH /api/workspace/:ws/lists/:id
+ * Renames and/or archives a list. Body: { name?, archived? }
+ * A rename also updates the title of the list document. Passphrase-protected
+ * lists need a session, as on the list's own routes.
+ */
+async function handleUpdateWorkspaceList(request, env, workspaceToken, listId) {
+  let body;
+  try {
+    body = await readListBody(request, getListConfig(env).limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const kv = env.SHOPLIST;
+  const workspace = await loadWorkspace(kv, workspaceToken);
+  const list = workspace.lists.find((entry) => entry.id === listId);
+  if (!list) {
+    return jsonResponse({ error: 'List not found' }, 404);
+  }
+
+  const locked = await checkListLock(request, env, list.token);
+  if (locked) {
+    return locked;
+  }
+
+  if (body.name !== undefined) {
+    const name = readListName(body.name);
+    if (!name) {
+      return jsonResponse({ error: 'Missing list name' }, 400);
+    }
+    list.name = name;
+  }
+
+  if (body.archived !== undefined) {
+    if (typeof body.archived !== 'boolean') {
+      return jsonResponse({ error: 'Invalid archived state' }, 400);
+    }
+    list.archived = body.archived;
+  }
+
+  await storeWorkspace(kv, workspaceToken, workspace);
+
+  if (body.name !== undefined) {
+    const titled = await runWorkspaceListWrite(env, list.token, { title: list.name });
+    if (!titled.ok) {
+      return titled;
+    }
+  }
+
+  return jsonResponse({ list, workspace });
+}
+
+/**
+ * Workspace write: Sets the title of a list document to its workspace name,
+ * run like the list's own writes (see runWorkspaceListWrite). Body: { title, only_new }
+ * only_new leaves a list that already has a document as it is, for adding an
+ * existing list by token.
+ */
+async function handleSetListTitle(request, env, token, store = kvListStore(env, token)) {
+  const { title, only_new: onlyNew } = await request.json();
+  const existingDoc = await store.load();
+
+  const unchanged = onlyNew ? existingDoc.version > 0 : existingDoc.title === title;
+  if (unchanged) {
+    return jsonResponse({ ok: true, version: existingDoc.version }, 200, { ETag: listEtag(existingDoc) });
+  }
+
+  const titledDoc = {
+    ...existingDoc,
+    title,
+    version: (existingDoc.version || 0) + 1,
+    updated_at: Date.now(),
+  };
+  await store.save(titledDoc, existingDoc);
+
+  return jsonResponse({ ok: true, version: titledDoc.version }, 200, { ETag: listEtag(titledDoc) });
+}
+
+/**
+ * Helper: Run a workspace endpoint's change to a list document through
+ * runListWrite, so it merges in order with the list's own edits
+ */
+async function runWorkspaceListWrite(env, token, body) {
+  const request = new Request('https://list-room/write', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return await runListWrite(request, env, token, 'title');
+}
+
+/**
+ * POST /api/workspace/:ws/reorder
+ * Sets the switcher order. Body: { ids: [...] }
+ * Lists left out of ids keep their relative order after the given ones.
+ */
+async function handleReorderWorkspace(request, env, workspaceToken) {
+  let body;
+  try {
+    body = await readListBody(request, getListConfig(env).limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  const ids = body && body.ids;
+  if (!Array.isArray(ids)) {
+    return jsonResponse({ error: 'Missing ids' }, 400);
+  }
+
+  const kv = env.SHOPLIST;
+  const workspace = await loadWorkspace(kv, workspaceToken);
+  const listsById = new Map(workspace.lists.map((list) => [list.id, list]));
+
+  const unknownId = ids.find((id) => !listsById.has(id));
+  if (unknownId !== undefined) {
+    return jsonResponse({ error: `Unknown list id: ${unknownId}` }, 400);
+  }
+
+  const ordered = [...new Set(ids)].map((id) => listsById.get(id));
+  const rest = workspace.lists.filter((list) => !ids.includes(list.id));
+  workspace.lists = [...ordered, ...rest];
+  workspace.lists.forEach((list, index) => {
+    list.pos = index;
+  });
+
+  await storeWorkspace(kv, workspaceToken, workspace);
+
+  return jsonResponse(workspace);
+}
+
+/**
+ * PUT /api/workspace/:ws/layouts
+ * Replaces the store layouts shared by every list in the workspace.
+ * Body: { layouts: [...] } (same shape as PUT /api/list/:token/layouts)
+ */
+async function handleSetWorkspaceLayouts(request, env, workspaceToken) {
+  let body;
+  try {
+    body = await readListBody(request, getListConfig(env).limits);
+  } catch (error) {
+    return validationErrorResponse(error);
+  }
+
+  let layouts;
+  try {
+    layouts = normalizeStoreLayouts(body && body.layouts);
+  } catch (error) {
+    return validationErrorResponse(error, 'Invalid layouts');
+  }
+
+  const kv = env.SHOPLIST;
+  const workspace = await loadWorkspace(kv, workspaceToken);
+  workspace.layouts = layouts;
+  await storeWorkspace(kv, workspaceToken, workspace);
+
+  return jsonResponse(workspace);
+}
+
+/**
+ * DELETE /api/workspace/:ws/lists/:id
+ * Removes a list from the workspace and moves its document to the trash
+ * (recoverable through POST /api/list/:token/undelete). Passphrase-protected
+ * lists need a session.
+ */
+async function handleDeleteWorkspaceList(request, env, workspaceToken, listId) {
+  const kv = env.SHOPLIST;
+  const workspace = await loadWorkspace(kv, workspaceToken);
+  const list = workspace.lists.find((entry) => entry.id === listId);
+  if (!list) {
+    return jsonResponse({ error: 'List not found' }, 404);
+  }
+
+  const locked = await checkListLock(request, env, list.token);
+  if (locked) {
+    return locked;
+  }
+
+  workspace.lists = workspace.lists.filter((entry) => entry.id !== listId);
+  workspace.lists.forEach((entry, index) => {
+    entry.pos = index;
+  });
+
+  await storeWorkspace(kv, workspaceToken, workspace);
+  await trashListDocument(env, list.token);
+
+  return jsonResponse({ ok: true, workspace });
+}
+
+/**
+ * POST /api/list/:token/view-token
+ * Returns the list's view-only share token, minting it on first use
+ */
+async function handleCreateViewToken(env, token) {
+  const kv = env.SHOPLIST;
+  let viewToken = await kv.get(`viewtoken:${token}`, 'text');
+
+  if (!viewToken) {
+    viewToken = VIEW_TOKEN_PREFIX + generateToken();
+    await kv.put(`view:${viewToken}`, JSON.stringify({ token, created_at: Date.now() }));
+    await kv.put(`viewtoken:${token}`, viewToken);
+  }
+
+  return jsonResponse({ view_token: viewToken });
+}
+
+/**
+ * POST /api/list/:token/unlock
+ * Checks the list passphrase and issues a short-lived session. Body: { passphrase }
+ * The session id is returned for use as a bearer token (or ?session= on /ws and
+ * /events) and is also set as a cookie scoped to the API path the caller used.
+ * Unlocking through a view-only link gives a view-only session.
+ */
+async function handleUnlock(request, env, token, access, pathToken) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON' }, 400);
+  }
+
+  if (!body || typeof body.passphrase !== 'string') {
+    return jsonResponse({ error: 'Missing passphrase' }, 400);
+  }
+
+  const lock = await loadListLock(env.SHOPLIST, token);
+  if (!lock) {
+    return jsonResponse({ error: 'List is not locked' }, 400);
+  }
+
+  if (!(await verifyPassphrase(body.passphrase, lock))) {
+    return jsonResponse({ error: 'Incorrect passphrase' }, 401);
+  }
+
+  return await createSessionResponse(env, token, lock, { ok: true }, { access, path: pathToken });
+}
+
+/**
+ * POST /api/list/:token/lock
+ * Sets or changes the list passphrase. Body: { passphrase }
+ * Changing an existing passphrase needs a session like any other request;
+ * the caller gets a fresh session so they are not locked out.
+ */
+async function handleSetLock(request, env, token, store = kvListStore(env, token)) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return jsonResponse({ error: 'Invalid JSON' }, 400);
+  }
+
+  const passphrase = body && body.passphrase;
+  if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    return jsonResponse({ error: `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters` }, 400);
+  }
+
+  const lock = await hashPassphrase(passphrase);
+  const existingDoc = await store.load();
+  const lockedDoc = {
+    ...existingDoc,
+    meta: { ...existingDoc.meta, lock },
+    version: (existingDoc.version || 0) + 1,
+    updated_at: Date.now(),
+  };
+
+  await env.SHOPLIST.put(`lock:${token}`, JSON.stringify(lock));
+  await store.save(lockedDoc, existingDoc, { locked: true });
+
+  return await createSessionResponse(env, token, lock, { ok: true, locked: true });
+}
+
+/**
+ * DELETE /api/list/:token/lock
+ * Removes the passphrase (needs a session when the list is locked)
+ */
+async function handleRemoveLock(request, env, token, store = kvListStore(env, token)) {
+  await env.SHOPLIST.delete(`lock:${token}`);
+
+  const existingDoc = await store.load();
+  if (!isListLocked(existingDoc)) {
+    return jsonResponse({ ok: true, locked: false });
+  }
+
+  const { lock, ...meta } = existingDoc.meta;
+  const unlockedDoc = {
+    ...existingDoc,
+    meta,
+    version: (existingDoc.version || 0) + 1,
+    updated_at: Date.now(),
+  };
+
+  await store.save(unlockedDoc, existingDoc, { locked: false });
+
+  return jsonResponse({ ok: true, locked: false });
+}
+
+/**
+ * POST /api/list/:token/rotate
+ * Moves the list (with its history, purchase log, trash copy and passphrase)
+ * to a freshly generated token.
+ * Body (optional): { keep_redirect = true, revoke_view_tokens = false, workspace }
+ * The old token is left as a redirect stub (308 to the new token) until
+ * POST /revoke, or revoked straight away with keep_redirect: false. Passing
+ * the workspace token updates the list's entry in that workspace. A locked list
+ * answers with a session for the new token, since sessions name the old one.
+ */
+async function handleRotate(request, env, token, store = kvListStore(env, token)) {
+  const body = await readOptionalJson(request);
+  if (!body) {
+    return jsonResponse({ error: 'Invalid JSON' }, 400);
+  }
+
+  const kv = env.SHOPLIST;
+  const newToken = generateToken();
+  const rotatedAt = Date.now();
+  const doc = await store.load();
+
+  await kv.put(`list:${newToken}`, JSON.stringify(doc));
+  await moveHistory(kv, token, newToken);
+  const purchases = await kv.get(`purchases:${token}`, 'text');
+  if (purchases) {
+    await kv.put(`purchases:${newToken}`, purchases);
+    await kv.delete(`purchases:${token}`);
+  }
+  const trashed = await kv.get(`trash:${token}`, 'text');
+  if (trashed) {
+    const retentionMs = readPositiveNumber(env.TRASH_RETENTION_DAYS, DEFAULT_TRASH_RETENTION_DAYS) * DAY_MS;
+    const expiresAt = JSON.parse(trashed).deleted_at + retentionMs;
+    await kv.put(`trash:${newToken}`, trashed, { expirationTtl: Math.max(60, Math.ceil((expiresAt - rotatedAt) / 1000)) });
+    await kv.delete(`trash:${token}`);
+  }
+  const lock = await loadListLock(kv, token);
+  if (lock) {
+    await kv.put(`lock:${newToken}`, JSON.stringify(lock));
+    await kv.delete(`lock:${token}`);
+  }
+  await kv.delete(`list:${token}`);
+
+  // Older tokens that already redirected here follow the list to its new token
+  const redirected = [...(await loadRedirectIndex(kv, token)), token];
+  await Promise.all(redirected.map((oldToken) =>
+    kv.put(`redirect:${oldToken}`, JSON.stringify({ token: newToken, rotated_at: rotatedAt }))
+  ));
+  await kv.put(`redirects:${newToken}`, JSON.stringify(redirected));
+  await kv.delete(`redirects:${token}`);
+
+  let viewToken = await kv.get(`viewtoken:${token}`, 'text');
+  if (viewToken) {
+    await kv.delete(`viewtoken:${token}`);
+    if (body.revoke_view_tokens === true) {
+      await kv.delete(`view:${viewToken}`);
+      viewToken = null;
+    } else {
+      await kv.put(`view:${viewToken}`, JSON.stringify({ token: newToken, created_at: rotatedAt }));
+      await kv.put(`viewtoken:${newToken}`, viewToken);
+    }
+  }
+
+  if (typeof body.workspace === 'string' && TOKEN_PATTERN.test(body.workspace)) {
+    const workspace = await loadWorkspace(kv, body.workspace);
+    const list = workspace.lists.find((entry) => entry.token === token);
+    if (list) {
+      list.token = newToken;
+      await storeWorkspace(kv, body.workspace, workspace);
+    }
+  }
+
+  const keepRedirect = body.keep_redirect !== false;
+  if (!keepRedirect) {
+    await revokeRedirects(kv, newToken);
+  }
+
+  await store.moved();
+
+  const data = { token: newToken, view_token: viewToken, redirect: keepRedirect };
+  return lock ? await createSessionResponse(env, newToken, lock, data) : jsonResponse(data);
+}
+
+/**
+ * POST /api/list/:token/revoke
+ * Invalidates tokens derived from this list. Body (optional):
+ * { redirects = true, view_tokens = false }
+ * Revoked redirect stubs answer 410; a revoked view token stops resolving.
+ */
+async function handleRevoke(request, env, token) {
+  const body = await readOptionalJson(request);
+  if (!body) {
+    return jsonResponse({ error: 'Invalid JSON' }, 400);
+  }
+
+  const kv = env.SHOPLIST;
+  let revokedRedirects = 0;
+  let revokedViewToken = false;
+
+  if (body.redirects !== false) {
+    revokedRedirects = await revokeRedirects(kv, token);
+  }
+
+  if (body.view_tokens === true) {
+    const viewToken = await kv.get(`viewtoken:${token}`, 'text');
+    if (viewToken) {
+      await kv.delete(`view:${viewToken}`);
+      await kv.delete(`viewtoken:${token}`);
+      revokedViewToken = true;
+    }
+  }
+
+  return jsonResponse({ ok: true, revoked_redirects: revokedRedirects, revoked_view_token: revokedViewToken });
+}
+
+/**
+ * GET /api/list/:token/ws
+ * Upgrades to a WebSocket served by the list's ListRoom Durable Object
+ * (sessions opened with a view-only token receive updates but cannot edit)
+ */
+async function handleListSocket(request, env, token, access = 'edit') {
+  if (request.headers.get('Upgrade') !== 'websocket') {
+    return jsonResponse({ error: 'Expected WebSocket upgrade' }, 426);
+  }
+
+  if (!env.LIST_ROOM) {
+    return jsonResponse({ error: 'Live sync not configured' }, 501);
+  }
+
+  const roomRequest = new Request('https://list-room/ws', request);
+  roomRequest.headers.set('X-List-Token', token);
+  roomRequest.headers.set('X-List-Access', access);
+  return getListRoom(env, token).fetch(roomRequest);
+}
+
+/**
+ * GET /api/list/:token/events
+ * Server-Sent Events stream of list changes, served by the list's ListRoom
+ */
+async function handleListEvents(request, env, token) {
+  if (!env.LIST_ROOM) {
+    return jsonResponse({ error: 'Live updates not configured' }, 501);
+  }
+
+  const roomRequest = new Request('https://list-room/events', request);
+  roomRequest.headers.set('X-List-Token', token);
+  return getListRoom(env, token).fetch(roomRequest);
+}
+
+/**
+ * GET /api/list/:token/wait?since=<version>
+ * Long poll served by the list's ListRoom: answers with the document as soon
+ * as its version differs from `since` (a deleted or purged list starts again
+ * below it), or 204 once LONG_POLL_TIMEOUT_SECONDS pass
+ */
+async function handleListWait(request, env, token) {
+  const since = Number(new URL(request.url).searchParams.get('since') || 0);
+  if (!Number.isInteger(since) || since < 0) {
+    return jsonResponse({ error: 'Invalid since version' }, 400);
+  }
+
+  if (!env.LIST_ROOM) {
+    return jsonResponse({ error: 'Live updates not configured' }, 501);
+  }
+
+  const roomRequest = new Request(`https://list-room/wait?since=${since}`, request);
+  roomRequest.headers.set('X-List-Token', token);
+  return getListRoom(env, token).fetch(roomRequest);
+}
+
+/**
+ * Merge an incoming list payload into the stored document.
+ * Each item field is resolved last-writer-wins by its own timestamp (see
+ * ITEM_MERGE_FIELDS), so concurrent edits to different fields of the same
+ * item both survive; items missing from the payload are kept unless listed
+ * in deletedItemIds. Deleted ids become
+ * tombstones, and any item not edited since its tombstone stays deleted.
+ * Throws a ValidationError on invalid payloads or payloads over config.limits
+ * (safe to return to the client).
+ */
+function mergeListDocument(existingDoc, body, config = getListConfig()) {
+  // Validate structure
+  if (!body || typeof body.title !== 'string' || !Array.isArray(body.items)) {
+    throw new ValidationError('Invalid document structure');
+  }
+
+  const deletedItemIds = Array.isArray(body.deletedItemIds)
+    ? body.deletedItemIds.filter((id) => typeof id === 'string' && id.length > 0)
+    : [];
+
+  const { limits } = config;
+  if (body.items.length > limits.maxItems) {
+    throw new ValidationError('Too many items', { status: 413, field: 'items', limit: limits.maxItems });
+  }
+
+  const incomingItems = new Map();
+  body.items.forEach((item, index) => {
+    let normalized;
+    try {
+      normalized = normalizeItem(item, index);
+      validateItemLimits(normalized, limits);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        error.index = index;
+      }
+      throw error;
+    }
+    incomingItems.set(normalized.id, normalized);
+  });
+
+  const existingItems = new Map();
+  try {
+    existingDoc.items.forEach((item, index) => {
+      const normalized = normalizeItem(item, index);
+      existingItems.set(normalized.id, normalized);
+    });
+  } catch (error) {
+    // If existing data is corrupted, start fresh
+    console.error('Error normalizing existing items:', error);
+  }
+
+  const now = Date.now();
+  const tombstones = pruneTombstones(existingDoc.tombstones, now, config);
+  deletedItemIds.forEach((id) => {
+    tombstones.set(id, Math.max(tombstones.get(id) || 0, now));
+  });
+
+  const deletedSet = new Set(deletedItemIds);
+  const mergedItems = [];
+  const processedIds = new Set();
+
+  // Resolve items present in incoming payload
+  for (const [id, incomingItem] of incomingItems.entries()) {
+    if (deletedSet.has(id)) {
+      processedIds.add(id);
+      continue;
+    }
+
+    // Stale copy of a deleted item: keep it deleted
+    if (tombstones.has(id)) {
+      if (incomingItem.updated_at <= tombstones.get(id)) {
+        processedIds.add(id);
+        continue;
+      }
+      // Edited after the deletion: the edit wins and the item comes back
+      tombstones.delete(id);
+    }
+
+    const existingItem = existingItems.get(id);
+    if (existingItem) {
+      mergedItems.push(mergeItemFields(existingItem, incomingItem));
+      processedIds.add(id);
+    } else {
+      mergedItems.push(incomingItem);
+      processedIds.add(id);
+    }
+  }
+
+  // Preserve items that were not included in this payload and not explicitly deleted
+  for (const [id, existingItem] of existingItems.entries()) {
+    if (processedIds.has(id)) continue;
+    if (deletedSet.has(id)) continue;
+    if (tombstones.has(id)) continue;
+    mergedItems.push(existingItem);
+  }
+
+  // Items kept from the stored document count too; a list already over
+  // the limit (e.g. after lowering MAX_ITEMS) may still shrink or stay level
+  if (mergedItems.length > limits.maxItems && mergedItems.length > existingItems.size) {
+    throw new ValidationError('Too many items', { status: 413, field: 'items', limit: limits.maxItems });
+  }
+
+  mergedItems.sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0));
+  mergedItems.forEach((item, index) => {
+    item.pos = index;
+  });
+
+  const nextVersion = (existingDoc.version || 0) + 1;
+  const incomingTitle = typeof body.title === 'string' ? body.title : existingDoc.title || 'Shopping';
+
+  return {
+    title: incomingTitle,
+    items: mergedItems,
+    tombstones: serializeTombstones(tombstones),
+    version: nextVersion,
+    updated_at: now,
+    meta: existingDoc.meta,
+    layouts: existingDoc.layouts,
+  };
+}
+
+/**
+ * Helper: Field-by-field last-writer-wins merge of two versions of one item.
+ * Ties go to the incoming item, matching the whole-item rule this replaced.
+ */
+function mergeItemFields(existingItem, incomingItem) {
+  const merged = { ...existingItem, field_updated_at: { ...existingItem.field_updated_at } };
+
+  for (const field of ITEM_MERGE_FIELDS) {
+    const incomingTs = incomingItem.field_updated_at[field];
+    // Unstamped (optional, never sent) fields keep the existing value
+    if (incomingTs !== undefined && incomingTs >= (existingItem.field_updated_at[field] ?? 0)) {
+      merged[field] = incomingItem[field];
+      merged.field_updated_at[field] = incomingTs;
+    }
+  }
+
+  merged.updated_at = Math.max(existingItem.updated_at, incomingItem.updated_at);
+  return merged;
+}
+
+/**
+ * Operation types accepted by POST /api/list/:token/ops. Every op carries the
+ * target item `id` and the client timestamp `ts` of the edit:
+ *   add           { label, tags?, checked?, pos? }
+ *   update-label  { label }
+ *   toggle        { checked?, by? }  (flips when checked is omitted; by names who
+ *                 ticked it, kept as item.checked_by until the item is unticked)
+ *   move          { pos }
+ *   retag         { tags }
+ *   set-quantity  { quantity, unit? }  (quantity null clears both)
+ *   update-note   { note }  (null or '' clears it)
+ *   set-product   { product }  (null clears it)
+ *   set-category  { category }  (null clears it)
+ *   delete        { purchased? }  (purchased: true records the item in the purchase log)
+ * add also accepts { quantity?, unit?, note?, product?, category? }; without a
+ * category one is guessed from the label.
+ */
+const LIST_OP_TYPES = [
+  'add', 'update-label', 'toggle', 'move', 'retag',
+  'set-quantity', 'update-note', 'set-product', 'set-category', 'delete',
+];
+
+// Item fields each editing op writes (for the per-field timestamp check)
+const OP_FIELDS = {
+  'update-label': ['label'],
+  toggle: ['checked', 'checked_by'],
+  move: ['pos'],
+  retag: ['tags'],
+  'set-quantity': ['quantity', 'unit'],
+  'update-note': ['note'],
+  'set-product': ['product'],
+  'set-category': ['category'],
+};
+
+/**
+ * Apply a batch of ops to a document, returning the next version.
+ * Ops older than the item they target, or targeting an item that no longer
+ * exists, are skipped (their indexes are reported) rather than failing the batch.
+ * Throws a ValidationError on malformed or oversized ops so nothing from an
+ * invalid batch is applied.
+ */
+function applyListOps(existingDoc, ops, config = getListConfig()) {
+  if (!Array.isArray(ops) || ops.length === 0) {
+    throw new ValidationError('Missing ops array', { field: 'ops' });
+  }
+
+  const { limits } = config;
+  ops.forEach((op, index) => validateListOp(op, index, limits));
+
+  const now = Date.now();
+  const tombstones = pruneTombstones(existingDoc.tombstones, now, config);
+
+  const items = new Map();
+  existingDoc.items.forEach((item, index) => {
+    try {
+      const normalized = normalizeItem(item, index);
+      items.set(normalized.id, normalized);
+    } catch (error) {
+      console.error('Skipping corrupted item:', error);
+    }
+  });
+
+  const skipped = [];
+  ops.forEach((op, index) => {
+    if (!applyListOp(items, tombstones, op)) {
+      skipped.push(index);
+    }
+  });
+
+  const mergedItems = Array.from(items.values());
+  if (mergedItems.length > limits.maxItems && mergedItems.length > existingDoc.items.length) {
+    throw new ValidationError('Too many items', { status: 413, field: 'items', limit: limits.maxItems });
+  }
+
+  mergedItems.sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0));
+  mergedItems.forEach((item, index) => {
+    item.pos = index;
+  });
+
+  return {
+    doc: {
+      title: existingDoc.title || 'Shopping',
+      items: mergedItems,
+      tombstones: serializeTombstones(tombstones),
+      version: (existingDoc.version || 0) + 1,
+      updated_at: now,
+      meta: existingDoc.meta,
+      layouts: existingDoc.layouts,
+    },
+    skipped,
+  };
+}
+
+function validateListOp(op, index, limits = DEFAULT_LIST_LIMITS) {
+  if (!op || typeof op !== 'object' || !LIST_OP_TYPES.includes(op.type)) {
+    throw new ValidationError(`Invalid op type at index ${index}`, { index, field: 'type' });
+  }
+
+  if (typeof op.id !== 'string' || !op.id) {
+    throw new ValidationError(`Op missing id at index ${index}`, { index, field: 'id' });
+  }
+
+  const ts = Number(op.ts);
+  if (!Number.isFinite(ts) || ts <= 0) {
+    throw new ValidationError(`Op missing ts at index ${index}`, { index, field: 'ts' });
+  }
+
+  if ((op.type === 'add' || op.type === 'update-label') && typeof op.label !== 'string') {
+    throw new ValidationError(`Op missing label at index ${index}`, { index, field: 'label' });
+  }
+
+  if (op.type === 'toggle' && op.checked !== undefined && typeof op.checked !== 'boolean') {
+    throw new ValidationError(`Invalid checked state at index ${index}`, { index, field: 'checked' });
+  }
+
+  if (op.type === 'move' && !Number.isFinite(op.pos)) {
+    throw new ValidationError(`Op missing pos at index ${index}`, { index, field: 'pos' });
+  }
+
+  if (op.type === 'retag' && !Array.isArray(op.tags)) {
+    throw new ValidationError(`Op missing tags at index ${index}`, { index, field: 'tags' });
+  }
+
+  if (op.type === 'set-quantity' && op.quantity === undefined) {
+    throw new ValidationError(`Op missing quantity at index ${index}`, { index, field: 'quantity' });
+  }
+
+  if (op.type === 'update-note' && op.note === undefined) {
+    throw new ValidationError(`Op missing note at index ${index}`, { index, field: 'note' });
+  }
+
+  if (op.type === 'set-product' && op.product === undefined) {
+    throw new ValidationError(`Op missing product at index ${index}`, { index, field: 'product' });
+  }
+
+  if (op.type === 'set-category' && op.category === undefined) {
+    throw new ValidationError(`Op missing category at index ${index}`, { index, field: 'category' });
+  }
+
+  try {
+    if (op.type === 'add' || op.type === 'set-quantity') {
+      normalizeQuantity(op.quantity, op.unit);
+    }
+
+    if (op.type === 'add' || op.type === 'set-product') {
+      normalizeProduct(op.product);
+    }
+
+    if (op.type === 'add' || op.type === 'set-category') {
+      normalizeCategory(op.category);
+    }
+
+    if (op.type === 'toggle') {
+      normalizeCheckedBy(op.by);
+    }
+
+    validateItemLimits({
+      label: typeof op.label === 'string' ? op.label : '',
+      tags: Array.isArray(op.tags) ? op.tags.filter((tag) => typeof tag === 'string' && tag.length > 0) : [],
+      note: normalizeNote(op.note),
+    }, limits);
+  } catch (error) {
+    error.index = index;
+    throw error;
+  }
+}
+
+/**
+ * Helper: Check a normalized item's label and tags against the size limits
+ */
+function validateItemLimits(item, limits) {
+  if (item.label.length > limits.maxLabelLength) {
+    throw new ValidationError('Label too long', { field: 'label', limit: limits.maxLabelLength });
+  }
+
+  if (item.tags.length > limits.maxTagsPerItem) {
+    throw new ValidationError('Too many tags', { field: 'tags', limit: limits.maxTagsPerItem });
+  }
+
+  if (item.tags.some((tag) => tag.length > limits.maxTagLength)) {
+    throw new ValidationError('Tag too long', { field: 'tags', limit: limits.maxTagLength });
+  }
+
+  if (item.note && item.note.length > limits.maxNoteLength) {
+    throw new ValidationError('Note too long', { field: 'note', limit: limits.maxNoteLength });
+  }
+}
+
+/**
+ * Apply one validated op to the item map; returns false when it was skipped
+ */
+function applyListOp(items, tombstones, op) {
+  const ts = Number(op.ts);
+  const item = items.get(op.id);
+
+  if (op.type === 'add') {
+    if (item && item.updated_at > ts) return false;
+    if (tombstones.has(op.id)) {
+      if (ts <= tombstones.get(op.id)) return false;
+      tombstones.delete(op.id);
+    }
+
+    const maxPos = Math.max(-1, ...Array.from(items.values(), (existing) => existing.pos));
+    items.set(op.id, categorizeNewItem(normalizeItem({
+      id: op.id,
+      label: op.label,
+      checked: typeof op.checked === 'boolean' ? op.checked : false,
+      tags: op.tags,
+      pos: Number.isFinite(op.pos) ? op.pos : (item ? item.pos : maxPos + 1),
+      quantity: op.quantity,
+      unit: op.unit,
+      note: op.note,
+      product: op.product,
+      category: op.category,
+      updated_at: ts,
+    })));
+    return true;
+  }
+
+  if (op.type === 'delete') {
+    if (item && item.updated_at > ts) return false;
+    // Record the tombstone even if the item has not reached the server yet
+    items.delete(op.id);
+    tombstones.set(op.id, Math.max(tombstones.get(op.id) || 0, ts));
+    return true;
+  }
+
+  const fields = OP_FIELDS[op.type];
+  if (!item || fields.some((field) => item.field_updated_at[field] > ts)) return false;
+
+  switch (op.type) {
+    case 'update-label':
+      item.label = op.label;
+      break;
+    case 'toggle': {
+      item.checked = typeof op.checked === 'boolean' ? op.checked : !item.checked;
+      const checkedBy = item.checked ? normalizeCheckedBy(op.by) : null;
+      if (checkedBy === null) {
+        delete item.checked_by;
+      } else {
+        item.checked_by = checkedBy;
+      }
+      break;
+    }
+    case 'move':
+      item.pos = op.pos;
+      break;
+    case 'retag':
+      item.tags = op.tags.filter((tag) => typeof tag === 'string' && tag.length > 0);
+      break;
+    case 'set-quantity': {
+      const { quantity, unit } = normalizeQuantity(op.quantity, op.unit);
+      if (quantity === null) {
+        delete item.quantity;
+        delete item.unit;
+      } else {
+        Object.assign(item, { quantity, unit });
+      }
+      break;
+    }
+    case 'update-note': {
+      const note = normalizeNote(op.note);
+      if (note === null) {
+        delete item.note;
+      } else {
+        item.note = note;
+      }
+      break;
+    }
+    case 'set-product': {
+      const product = normalizeProduct(op.product, ts);
+      if (product === null) {
+        delete item.product;
+      } else {
+        item.product = product;
+      }
+      break;
+    }
+    case 'set-category': {
+      const category = normalizeCategory(op.category);
+      if (category === null) {
+        delete item.category;
+      } else {
+        item.category = category;
+      }
+      break;
+    }
+  }
+
+  fields.forEach((field) => {
+    item.field_updated_at[field] = ts;
+  });
+  item.updated_at = Math.max(item.updated_at, ts);
+  return true;
+}
+
+/**
+ * Helper: Tombstones still inside the retention window, as a Map of id -> deleted_at
+ */
+function pruneTombstones(tombstones, now, config) {
+  const cutoff = now - config.tombstoneRetentionMs;
+  const live = new Map();
+
+  if (!Array.isArray(tombstones)) return live;
+
+  for (const tombstone of tombstones) {
+    if (!tombstone || typeof tombstone.id !== 'string' || !tombstone.id) continue;
+    const deletedAt = Number(tombstone.deleted_at);
+    if (!Number.isFinite(deletedAt) || deletedAt < cutoff) continue;
+    live.set(tombstone.id, Math.max(live.get(tombstone.id) || 0, deletedAt));
+  }
+
+  return live;
+}
+
+function serializeTombstones(tombstones) {
+  return Array.from(tombstones, ([id, deletedAt]) => ({ id, deleted_at: deletedAt }));
+}
+
+/**
+ * Helper: List document rules for this deployment, read from env with defaults
+ */
+function getListConfig(env = {}) {
+  return {
+    tombstoneRetentionMs: readPositiveNumber(env.TOMBSTONE_RETENTION_DAYS, DEFAULT_TOMBSTONE_RETENTION_DAYS) * DAY_MS,
+    longPollTimeoutMs: readPositiveNumber(env.LONG_POLL_TIMEOUT_SECONDS, DEFAULT_LONG_POLL_TIMEOUT_SECONDS) * 1000,
+    limits: {
+      maxItems: readPositiveNumber(env.MAX_ITEMS, DEFAULT_LIST_LIMITS.maxItems),
+      maxLabelLength: readPositiveNumber(env.MAX_LABEL_LENGTH, DEFAULT_LIST_LIMITS.maxLabelLength),
+      maxTagsPerItem: readPositiveNumber(env.MAX_TAGS_PER_ITEM, DEFAULT_LIST_LIMITS.maxTagsPerItem),
+      maxTagLength: readPositiveNumber(env.MAX_TAG_LENGTH, DEFAULT_LIST_LIMITS.maxTagLength),
+      maxNoteLength: readPositiveNumber(env.MAX_NOTE_LENGTH, DEFAULT_LIST_LIMITS.maxNoteLength),
+      maxBodyBytes: readPositiveNumber(env.MAX_BODY_BYTES, DEFAULT_LIST_LIMITS.maxBodyBytes),
+    },
+  };
+}
+
+function readPositiveNumber(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * Helper: Next version of a document with its items rolled back to a snapshot.
+ * Restored items are re-stamped with the current time so they win over stale
+ * clients, and items added since the snapshot are tombstoned for the same reason.
+ */
+function buildRestoredDocument(existingDoc, snapshot, config) {
+  const now = Date.now();
+  const tombstones = pruneTombstones(existingDoc.tombstones, now, config);
+
+  const items = [];
+  (Array.isArray(snapshot.items) ? snapshot.items : []).forEach((item, index) => {
+    try {
+      const restored = normalizeItem(item, index);
+      for (const field of ITEM_MERGE_FIELDS) {
+        restored.field_updated_at[field] = now;
+      }
+      restored.updated_at = now;
+      tombstones.delete(restored.id);
+      items.push(restored);
+    } catch (error) {
+      console.error('Skipping corrupted snapshot item:', error);
+    }
+  });
+
+  const restoredIds = new Set(items.map((item) => item.id));
+  existingDoc.items.forEach((item) => {
+    if (!restoredIds.has(item.id)) {
+      tombstones.set(item.id, now);
+    }
+  });
+
+  items.sort((a, b) => a.pos - b.pos);
+  items.forEach((item, index) => {
+    item.pos = index;
+  });
+
+  return {
+    ...existingDoc,
+    title: typeof snapshot.title === 'string' ? snapshot.title : existingDoc.title,
+    items,
+    tombstones: serializeTombstones(tombstones),
+    version: (existingDoc.version || 0) + 1,
+    updated_at: now,
+  };
+}
+
+/**
+ * Helper: Add a document version to the history index.
+ * The newest entry keeps its snapshot inline; it moves to history:<token>:<version>
+ * once a newer entry arrives. Edits that add or change items (no removals, no
+ * note) within HISTORY_MERGE_SECONDS of an entry like them are folded into it,
+ * so a burst of ticks costs one index write each instead of a snapshot per tick;
+ * merged_from keeps the first folded version restorable (it maps to the merged one).
+ * Only the newest HISTORY_LIMIT versions are kept; older snapshots are deleted.
+ */
+async function recordHistory(env, token, doc, previousDoc, historyNote) {
+  const kv = env.SHOPLIST;
+  const limit = readPositiveNumber(env.HISTORY_LIMIT, DEFAULT_HISTORY_LIMIT);
+  const mergeSeconds = env.HISTORY_MERGE_SECONDS === undefined
+    ? DEFAULT_HISTORY_MERGE_SECONDS
+    : Number(env.HISTORY_MERGE_SECONDS);
+  const now = Date.now();
+
+  const snapshot = {
+    title: doc.title,
+    items: doc.items,
+    version: doc.version,
+    updated_at: doc.updated_at,
+  };
+
+  const { changed, removedIds } = diffListItems(previousDoc ? previousDoc.items : [], doc.items);
+  const previousIds = new Set((previousDoc ? previousDoc.items : []).map((item) => item.id));
+  const added = changed.filter((item) => !previousIds.has(item.id)).length;
+  const mergeable = removedIds.length === 0 && Object.keys(historyNote).length === 0;
+
+  const versions = (await loadHistoryIndex(kv, token)).filter((existing) => existing.version !== doc.version);
+  const newest = versions[0];
+
+  if (mergeable && newest && newest.snapshot && newest.merge_until > now &&
+      previousDoc && newest.version === previousDoc.version) {
+    versions[0] = {
+      ...newest,
+      version: doc.version,
+      merged_from: newest.merged_from || newest.version,
+      updated_at: doc.updated_at,
+      summary: {
+        ...newest.summary,
+        added: newest.summary.added + added,
+        updated: newest.summary.updated + changed.length - added,
+        item_count: doc.items.length,
+        merged: (newest.summary.merged || 1) + 1,
+      },
+      snapshot,
+    };
+    await kv.put(`history:${token}`, JSON.stringify(versions));
+    return;
+  }
+
+  if (newest && newest.snapshot) {
+    const { snapshot: newestSnapshot, merge_until: mergeUntil, ...entry } = newest;
+    await kv.put(historyKey(token, newest.version), JSON.stringify(newestSnapshot));
+    versions[0] = entry;
+  }
+
+  versions.unshift({
+    version: doc.version,
+    updated_at: doc.updated_at,
+    summary: {
+      added,
+      updated: changed.length - added,
+      removed: removedIds.length,
+      item_count: doc.items.length,
+      ...historyNote,
+    },
+    snapshot,
+    ...(mergeable ? { merge_until: now + mergeSeconds * 1000 } : {}),
+  });
+
+  const evicted = versions.splice(limit);
+  await kv.put(`history:${token}`, JSON.stringify(versions));
+  await Promise.all(evicted.map((old) => kv.delete(historyKey(token, old.version))));
+}
+
+/**
+ * Helper: The saved snapshot of a version (inline for the newest entry), or null.
+ * A version folded into a later one gets that version's snapshot.
+ */
+async function loadHistorySnapshot(kv, token, version) {
+  const entry = (await loadHistoryIndex(kv, token)).find((existing) =>
+    existing.version === version || (existing.merged_from <= version && version < existing.version)
+  );
+  if (entry && entry.snapshot) {
+    return entry.snapshot;
+  }
+
+  const stored = await kv.get(historyKey(token, entry ? entry.version : version), 'text');
+  return stored ? JSON.parse(stored) : null;
+}
+
+async function loadHistoryIndex(kv, token) {
+  const stored = await kv.get(`history:${token}`, 'text');
+  if (!stored) return [];
+
+  try {
+    const versions = JSON.parse(stored);
+    return Array.isArray(versions) ? versions : [];
+  } catch {
+    return [];
+  }
+}
+
+function historyKey(token, version) {
+  return `history:${token}:${version}`;
+}
+
+/**
+ * Helper: Items removed by the applied delete ops flagged `purchased`,
+ * as they were before the batch
+ */
+function purchasedItems(existingDoc, ops, skipped) {
+  const skippedIndexes = new Set(skipped);
+  const ids = new Set(ops
+    .filter((op, index) => op.type === 'delete' && op.purchased === true && !skippedIndexes.has(index))
+    .map((op) => op.id));
+
+  return existingDoc.items.filter((item) => ids.has(item.id));
+}
+
+/**
+ * Helper: Checked items a full-document write (PUT or a socket put) removed,
+ * as they were before it. Such writes carry no per-item intent, so a checked
+ * item that is gone counts as bought.
+ */
+function removedCheckedItems(existingDoc, doc) {
+  const remainingIds = new Set(doc.items.map((item) => item.id));
+  return existingDoc.items.filter((item) => item.checked && !remainingIds.has(item.id));
+}
+
+/**
+ * Helper: Add cleared items to the front of the purchase log, keeping the
+ * newest PURCHASE_LOG_LIMIT entries
+ */
+async function recordPurchases(env, token, items, purchasedAt) {
+  if (items.length === 0) return;
+
+  const kv = env.SHOPLIST;
+  const limit = readPositiveNumber(env.PURCHASE_LOG_LIMIT, DEFAULT_PURCHASE_LOG_LIMIT);
+
+  try {
+    const entries = items.map((item) => toPurchaseEntry(item, purchasedAt));
+    const purchases = [...entries, ...(await loadPurchaseLog(kv, token))].slice(0, limit);
+    await kv.put(`purchases:${token}`, JSON.stringify(purchases));
+  } catch (error) {
+    // Like history, the log is best-effort; the list change is already saved
+    console.error('Failed to record purchases:', error);
+  }
+}
+
+/**
+ * Helper: Purchase log entry for an item cleared at `purchasedAt`.
+ * store is the linked product's store, else the item's first tag.
+ */
+function toPurchaseEntry(item, purchasedAt) {
+  const tags = Array.isArray(item.tags) ? item.tags : [];
+  const product = item.product || null;
+
+  return {
+    item_id: item.id,
+    label: item.label,
+    quantity: item.quantity ?? null,
+    unit: item.unit ?? null,
+    tags,
+    store: (product && product.store) || tags[0] || null,
+    product,
+    price: product && Number.isFinite(product.price) ? product.price : null,
+    checked_by: item.checked_by || null,
+    checked_at: (item.field_updated_at && item.field_updated_at.checked) || item.updated_at || null,
+    purchased_at: purchasedAt,
+  };
+}
+
+async function loadPurchaseLog(kv, token) {
+  const stored = await kv.get(`purchases:${token}`, 'text');
+  if (!stored) return [];
+
+  try {
+    const purchases = JSON.parse(stored);
+    return Array.isArray(purchases) ? purchases : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Helper: Lower-cased store names a purchase can be filtered by
+ */
+function purchaseStores(entry) {
+  const stores = [...(entry.tags || []), entry.product && entry.product.store, entry.store];
+  return stores.filter((store) => typeof store === 'string').map((store) => store.toLowerCase());
+}
+
+/**
+ * Helper: Parse a purchases date filter (YYYY-MM-DD or ms timestamp); null when absent.
+ * A plain date as `to` covers the whole day.
+ */
+function readPurchaseDate(value, field) {
+  if (!value) return null;
+
+  let time = NaN;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    time = Date.parse(`${value}T00:00:00Z`);
+    if (field === 'to') {
+      time += DAY_MS - 1;
+    }
+  } else if (/^\d+$/.test(value)) {
+    time = Number(value);
+  }
+
+  if (!Number.isFinite(time)) {
+    throw new ValidationError(`Invalid ${field} date`, { field });
+  }
+  return time;
+}
+
+/**
+ * Helper: Move a list document to the trash with an expiry.
+ * Returns the expiry time, or null when there was no stored list.
+ */
+async function trashListDocument(env, token) {
+  const kv = env.SHOPLIST;
+  const stored = await kv.get(`list:${token}`, 'text');
+  if (!stored) {
+    return null;
+  }
+
+  const retentionMs = readPositiveNumber(env.TRASH_RETENTION_DAYS, DEFAULT_TRASH_RETENTION_DAYS) * DAY_MS;
+  const deletedAt = Date.now();
+
+  await kv.put(`trash:${token}`, JSON.stringify({
+    doc: parseStoredDocument(stored),
+    deleted_at: deletedAt,
+  }), { expirationTtl: Math.ceil(retentionMs / 1000) });
+  await kv.delete(`list:${token}`);
+  await notifyListRoom(env, token, createDefaultDocument(), { reset: true });
+
+  return deletedAt + retentionMs;
+}
+
+/**
+ * Helper: 308 to the current token for a rotated list, 410 once the redirect
+ * is revoked, or null when the token has not been rotated
+ */
+async function checkListRedirect(kv, token, url, action) {
+  const stored = await kv.get(`redirect:${token}`, 'text');
+  if (!stored) {
+    return null;
+  }
+
+  const redirect = JSON.parse(stored);
+  if (redirect.revoked) {
+    return jsonResponse({ error: 'This link has been revoked' }, 410);
+  }
+
+  const location = `${url.origin}/api/list/${redirect.token}${action ? `/${action}` : ''}${url.search}`;
+  return jsonResponse({ error: 'List moved', token: redirect.token }, 308, { Location: location });
+}
+
+async function loadRedirectIndex(kv, token) {
+  const stored = await kv.get(`redirects:${token}`, 'text');
+  return stored ? JSON.parse(stored) : [];
+}
+
+/**
+ * Helper: Mark every redirect stub pointing at a list as revoked; returns how many
+ */
+async function revokeRedirects(kv, token) {
+  const redirected = await loadRedirectIndex(kv, token);
+  const revokedAt = Date.now();
+
+  await Promise.all(redirected.map((oldToken) =>
+    kv.put(`redirect:${oldToken}`, JSON.stringify({ revoked: true, revoked_at: revokedAt }))
+  ));
+  await kv.delete(`redirects:${token}`);
+
+  return redirected.length;
+}
+
+/**
+ * Helper: Move a list's history index and snapshots to another token
+ */
+async function moveHistory(kv, fromToken, toToken) {
+  const versions = await loadHistoryIndex(kv, fromToken);
+
+  for (const entry of versions) {
+    const snapshot = await kv.get(historyKey(fromToken, entry.version), 'text');
+    if (snapshot) {
+      await kv.put(historyKey(toToken, entry.version), snapshot);
+    }
+    await kv.delete(historyKey(fromToken, entry.version));
+  }
+
+  if (versions.length > 0) {
+    await kv.put(`history:${toToken}`, JSON.stringify(versions));
+  }
+  await kv.delete(`history:${fromToken}`);
+}
+
+/**
+ * Helper: Parse a JSON body that may be empty ({} when empty, null when invalid)
+ */
+async function readOptionalJson(request) {
+  const text = await request.text();
+  if (!text) {
+    return {};
+  }
+
+  try {
+    const body = JSON.parse(text);
+    return body && typeof body === 'object' ? body : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Helper: 401 for a passphrase-protected list without a valid session, else null.
+ * Sessions from a view-only link only pass for view access, and sessions issued
+ * under an earlier passphrase no longer pass at all.
+ */
+async function checkListLock(request, env, token, access = 'edit') {
+  const lock = await loadListLock(env.SHOPLIST, token);
+  if (!lock) {
+    return null;
+  }
+
+  const sessionId = readSessionId(request);
+  if (sessionId) {
+    const stored = await env.SHOPLIST.get(`session:${sessionId}`, 'text');
+    const session = stored ? JSON.parse(stored) : null;
+    if (session && session.token === token && session.lock_set_at === lock.set_at &&
+        session.expires_at > Date.now() && (session.access !== 'view' || access === 'view')) {
+      return null;
+    }
+  }
+
+  return jsonResponse({ error: 'Passphrase required', locked: true }, 401);
+}
+
+/**
+ * Helper: The list's passphrase hash, or null. It lives under lock:<token>
+ * (meta.lock is only a copy for the locked flag) so it keeps guarding the
+ * list while the document is in the trash. Lists locked before that key
+ * existed are moved over on first use.
+ */
+async function loadListLock(kv, token) {
+  const stored = await kv.get(`lock:${token}`, 'text');
+  if (stored) {
+    return JSON.parse(stored);
+  }
+
+  const listStored = await kv.get(`list:${token}`, 'text');
+  const trashed = listStored ? null : await kv.get(`trash:${token}`, 'text');
+  const doc = listStored ? parseStoredDocument(listStored) : trashed ? JSON.parse(trashed).doc : null;
+  if (!doc || !isListLocked(doc)) {
+    return null;
+  }
+
+  await kv.put(`lock:${token}`, JSON.stringify(doc.meta.lock));
+  return doc.meta.lock;
+}
+
+function isListLocked(doc) {
+  return Boolean(doc.meta && doc.meta.lock);
+}
+
+/**
+ * Helper: Session id from the Authorization bearer token, the session cookie,
+ * or ?session= (WebSocket and EventSource cannot send headers)
+ */
+function readSessionId(request) {
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+
+  const cookies = request.headers.get('Cookie') || '';
+  const cookie = cookies.split(';').map((part) => part.trim()).find((part) => part.startsWith(`${SESSION_COOKIE}=`));
+  if (cookie) {
+    return cookie.slice(SESSION_COOKIE.length + 1);
+  }
+
+  return new URL(request.url).searchParams.get('session');
+}
+
+/**
+ * Helper: Store a new session for a list and return it (plus a cookie) with extra response data.
+ * The session names the passphrase it was issued under (lock.set_at), so changing
+ * the passphrase ends every older session.
+ * Options: access ('edit' or 'view'), path (the token in the URL the caller used,
+ * so a view-only link never sees the edit token)
+ */
+async function createSessionResponse(env, token, lock, data, { access = 'edit', path = token } = {}) {
+  const ttlSeconds = Math.ceil(readPositiveNumber(env.LIST_SESSION_TTL_HOURS, DEFAULT_SESSION_TTL_HOURS) * 60 * 60);
+  const sessionId = generateToken();
+  const expiresAt = Date.now() + ttlSeconds * 1000;
+
+  await env.SHOPLIST.put(`session:${sessionId}`, JSON.stringify({ token, access, lock_set_at: lock.set_at, expires_at: expiresAt }), {
+    expirationTtl: ttlSeconds,
+  });
+
+  return jsonResponse({ ...data, session: sessionId, expires_at: expiresAt }, 200, {
+    'Set-Cookie': `${SESSION_COOKIE}=${sessionId}; Path=/api/list/${path}; Max-Age=${ttlSeconds}; HttpOnly; Secure; SameSite=Strict`,
+  });
+}
+
+/**
+ * Helper: PBKDF2 hash of a passphrase, stored under lock:<token> (and copied to meta.lock)
+ */
+async function hashPassphrase(passphrase, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = LOCK_PBKDF2_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+
+  return {
+    algorithm: 'PBKDF2-SHA256',
+    iterations,
+    salt: bytesToBase64(salt),
+    hash: bytesToBase64(new Uint8Array(bits)),
+    set_at: Date.now(),
+  };
+}
+
+async function verifyPassphrase(passphrase, lock) {
+  const candidate = await hashPassphrase(passphrase, base64ToBytes(lock.salt), lock.iterations);
+
+  // Constant-time comparison
+  const a = base64ToBytes(candidate.hash);
+  const b = base64ToBytes(lock.hash);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+function bytesToBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+}
+
+/**
+ * Helper: A list document as sent to clients. The passphrase hash never leaves
+ * the worker; clients only see locked: true.
+ */
+function toPublicDocument(doc) {
+  const { meta, ...publicDoc } = doc;
+  return isListLocked(doc) ? { ...publicDoc, locked: true } : publicDoc;
+}
+
+function isViewToken(token) {
+  return token.startsWith(VIEW_TOKEN_PREFIX);
+}
+
+/**
+ * Helper: List token a view-only token was minted for (null when unknown)
+ */
+async function resolveViewToken(kv, viewToken) {
+  const stored = await kv.get(`view:${viewToken}`, 'text');
+  return stored ? JSON.parse(stored).token : null;
+}
+
+/**
+ * Helper: Whether a list request only reads (allowed for view-only tokens)
+ */
+function isReadOnlyRequest(method, action) {
+  if (action === 'ws') return true; // the room rejects edits from view-only sessions
+  if (action === 'unlock' && method === 'POST') return true;
+  return method === 'GET' && (
+    action === null || action === 'events' || action === 'wait' || action === 'history' ||
+    action === 'purchases' || action === 'suggestions'
+  );
+}
+
+/**
+ * Helper: Load a workspace document (or an empty one)
+ */
+async function loadWorkspace(kv, workspaceToken) {
+  const stored = await kv.get(`workspace:${workspaceToken}`, 'text');
+  const workspace = stored ? JSON.parse(stored) : {};
+
+  return {
+    name: typeof workspace.name === 'string' ? workspace.name : 'Household',
+    lists: Array.isArray(workspace.lists) ? workspace.lists.sort((a, b) => a.pos - b.pos) : [],
+    layouts: Array.isArray(workspace.layouts) ? workspace.layouts : [],
+    version: typeof workspace.version === 'number' ? workspace.version : 0,
+    updated_at: workspace.updated_at || Date.now(),
+  };
+}
+
+async function storeWorkspace(kv, workspaceToken, workspace) {
+  workspace.version += 1;
+  workspace.updated_at = Date.now();
+  await kv.put(`workspace:${workspaceToken}`, JSON.stringify(workspace));
+}
+
+/**
+ * Helper: Validate store layouts: [{ id?, name, store?, aisles }], where
+ * store is the store tag the layout applies to and aisles is the walking
+ * order of ITEM_CATEGORIES (categories left out come after the listed ones).
+ * Missing ids are generated. Throws a ValidationError pointing at the layout.
+ */
+function normalizeStoreLayouts(layouts) {
+  if (!Array.isArray(layouts)) {
+    throw new ValidationError('Missing layouts array', { field: 'layouts' });
+  }
+
+  if (layouts.length > MAX_STORE_LAYOUTS) {
+    throw new ValidationError('Too many layouts', { field: 'layouts', limit: MAX_STORE_LAYOUTS });
+  }
+
+  return layouts.map((layout, index) => {
+    if (!layout || typeof layout !== 'object') {
+      throw new ValidationError('Invalid layout', { index, field: 'layouts' });
+    }
+
+    const name = readListName(layout.name);
+    if (!name) {
+      throw new ValidationError('Layout missing name', { index, field: 'name' });
+    }
+
+    if (layout.store !== undefined && layout.store !== null && typeof layout.store !== 'string') {
+      throw new ValidationError('Invalid layout store', { index, field: 'store' });
+    }
+
+    if (!Array.isArray(layout.aisles) || layout.aisles.some((aisle) => !ITEM_CATEGORIES.includes(aisle))) {
+      throw new ValidationError('Invalid layout aisles', { index, field: 'aisles' });
+    }
+
+    return {
+      id: typeof layout.id === 'string' && layout.id ? layout.id : crypto.randomUUID(),
+      name,
+      store: readListName(layout.store) || null,
+      aisles: [...new Set(layout.aisles)],
+    };
+  });
+}
+
+function readListName(value) {
+  if (typeof value !== 'string') return '';
+  return value.trim().slice(0, MAX_LIST_NAME_LENGTH);
+}
+
+/**
+ * Helper: Random URL-safe token (same format as the frontend's generateToken)
+ */
+function generateToken() {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=/g, '');
+}
+
+/**
+ * Helper: ETag for a list document (strong, derived from its version)
+ */
+function listEtag(doc) {
+  return `"${doc.version || 0}"`;
+}
+
+/**
+ * Helper: Whether an If-Match / If-None-Match header value matches an ETag
+ */
+function etagMatches(header, etag) {
+  if (!header) return false;
+  return header
+    .split(',')
+    .map((value) => value.trim().replace(/^W\//, ''))
+    .some((value) => value === '*' || value === etag);
+}
+
+/**
+ * Helper: 409 response when a request's If-Match does not match the stored
+ * document, or null when the write may proceed (no If-Match sent counts as a match)
+ */
+function checkIfMatch(request, doc) {
+  const ifMatch = request.headers.get('If-Match');
+  if (!ifMatch || etagMatches(ifMatch, listEtag(doc))) {
+    return null;
+  }
+
+  return jsonResponse({ error: 'Version conflict', current: toPublicDocument(doc) }, 409, { ETag: listEtag(doc) });
+}
+
+/**
+ * Helper: Load the stored list document (or a default one) for a token
+ */
+async function loadListDocument(kv, token) {
+  const stored = await kv.get(`list:${token}`, 'text');
+  return stored ? parseStoredDocument(stored) : createDefaultDocument();
+}
+
+/**
+ * Helper: Where a list write loads and saves its document: KV plus a room
+ * broadcast here, the room's own document inside ListRoom (see ListRoom.writeStore).
+ * moved() closes the room once the list has a new token.
+ */
+function kvListStore(env, token) {
+  return {
+    load: () => loadListDocument(env.SHOPLIST, token),
+    save: (doc, previousDoc, historyNote) => storeListDocument(env, token, doc, previousDoc, historyNote),
+    moved: () => notifyListMoved(env, token),
+  };
+}
+
+/**
+ * Helper: Persist a list document, record it in history and push it to live subscribers
+ */
+async function storeListDocument(env, token, doc, previousDoc, historyNote = {}) {
+  await persistListDocument(env, token, doc, previousDoc, historyNote);
+  await notifyListRoom(env, token, doc);
+}
+
+/**
+ * Helper: Write a list document and its history snapshot (no live notification;
+ * used directly by ListRoom, which publishes on its own)
+ */
+async function persistListDocument(env, token, doc, previousDoc, historyNote = {}) {
+  await env.SHOPLIST.put(`list:${token}`, JSON.stringify(doc));
+
+  try {
+    await recordHistory(env, token, doc, previousDoc, historyNote);
+  } catch (error) {
+    // History is best-effort; the document itself is already saved
+    console.error('Failed to record list history:', error);
+  }
+}
+
+function parseStoredDocument(stored) {
+  const doc = JSON.parse(stored);
+  if (!Array.isArray(doc.items)) {
+    doc.items = [];
+  }
+  if (typeof doc.version !== 'number') {
+    doc.version = 0;
+  }
+  if (!Array.isArray(doc.tombstones)) {
+    doc.tombstones = [];
+  }
+  return doc;
+}
+
+/**
+ * Durable Object: one ListRoom per list token
+ *
+ * Holds the live list document plus the WebSocket sessions and Server-Sent
+ * Events streams watching it. Edits sent over a socket go through
+ * mergeListDocument (the same rules as PUT /api/list/:token), are written
+ * back to KV, and the merged document is published to every subscriber.
+ * HTTP writes that merge into the document (PUT, /ops, /bulk, /reorder,
+ * /layouts) are forwarded to POST /write and run in the same queue, so they
+ * never merge against a stale copy; other HTTP writes reach the room via
+ * POST /broadcast, which ignores documents older than the one it holds.
+ *
+ * Socket protocol (JSON text frames):
+ *   client -> room: { "type": "put", "doc": { title, items, deletedItemIds }, "ref"? }
+ *                   { "type": "ops", "ops": [...], "ref"? }  (same ops as POST /ops)
+ *   room -> client: { "type": "list", "doc": {...} }
+ *                   { "type": "ack", "ref", "version" }  (to a sender that passed ref, once its edit is saved)
+ *                   { "type": "error", "error": "message", "ref"?, "retry"? }
+ *                   (retry: saving failed, send the edit again; otherwise it will never apply)
+ *                   { "type": "moved" }  (list rotated to a new token; the socket closes)
+ *   Sessions opened through a view-only token only receive; their edits get an error.
+ *
+ * Event stream (text/event-stream):
+ *   event: list           data: the current document (sent once on connect)
+ *   event: list-updated   data: { version, title, updated_at, items, removedIds }
+ *                         where items holds only added or changed items
+ *   event: moved          data: {} (list rotated to a new token; the stream ends)
+ */
+export class ListRoom {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.token = null;
+    this.doc = null;
+    this.sessions = new Set();
+    this.streams = new Set();
+    this.waiters = new Set();
+    this.heartbeat = null;
+    // Serializes edits so each merge sees the previous result
+    this.queue = Promise.resolve();
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+    this.token = request.headers.get('X-List-Token') || this.token;
+
+    if (!this.token) {
+      return jsonResponse({ error: 'Missing list token' }, 400);
+    }
+
+    if (url.pathname === '/ws') {
+      const pair = new WebSocketPair();
+      const [client, server] = Object.values(pair);
+      await this.addSession(server, request.headers.get('X-List-Access') === 'view');
+      return new Response(null, { status: 101, webSocket: client });
+    }
+
+    if (url.pathname === '/events') {
+      const doc = await this.loadDocument();
+      const { readable, writable } = new TransformStream();
+      const writer = writable.getWriter();
+      this.addStream(writer);
+      this.writeEvent(writer, 'list', toPublicDocument(doc));
+
+      return new Response(readable, {
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          ...CORS_HEADERS,
+        },
+      });
+    }
+
+    if (url.pathname === '/wait') {
+      const since = Number(url.searchParams.get('since')) || 0;
+      const doc = await this.loadDocument();
+      if ((doc.version || 0) !== since) {
+        return jsonResponse(toPublicDocument(doc), 200, { ETag: listEtag(doc) });
+      }
+      return this.addWaiter(since);
+    }
+
+    if (url.pathname === '/write') {
+      const handler = ROOM_WRITE_HANDLERS[request.headers.get('X-List-Write')];
+      if (!handler) {
+        return jsonResponse({ error: 'Invalid write' }, 404);
+      }
+      return await this.enqueue(() => handler(request, this.env, this.token, this.writeStore()));
+    }
+
+    if (url.pathname === '/broadcast' && request.method === 'POST') {
+      const doc = await request.json();
+      const reset = request.headers.get('X-List-Reset') === '1';
+      await this.enqueue(async () => {
+        if (this.publish(doc, { reset })) {
+          await this.state.storage.put(ROOM_DOCUMENT_KEY, doc);
+        }
+      });
+      return jsonResponse({ ok: true });
+    }
+
+    if (url.pathname === '/moved' && request.method === 'POST') {
+      await this.enqueue(async () => this.closeAll());
+      return jsonResponse({ ok: true });
+    }
+
+    return jsonResponse({ error: 'Invalid path' }, 404);
+  }
+
+  async addSession(socket, readOnly = false) {
+    socket.accept();
+    this.sessions.add(socket);
+
+    socket.addEventListener('message', (event) => {
+      if (readOnly) {
+        this.send(socket, { type: 'error', error: 'This share link is view-only' });
+        return;
+      }
+      return this.handleMessage(socket, event.data);
+    });
+    socket.addEventListener('close', () => this.sessions.delete(socket));
+    socket.addEventListener('error', () => this.sessions.delete(socket));
+
+    const doc = await this.loadDocument();
+    this.send(socket, { type: 'list', doc: toPublicDocument(doc) });
+  }
+
+  async handleMessage(socket, data) {
+    const config = getListConfig(this.env);
+    if (typeof data === 'string' && BODY_ENCODER.encode(data).length > config.limits.maxBodyBytes) {
+      this.send(socket, { type: 'error', ...bodyTooLargeError(config.limits).toJSON() });
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch {
+      this.send(socket, { type: 'error', error: 'Invalid JSON' });
+      return;
+    }
+
+    if (!message || (message.type !== 'put' && message.type !== 'ops')) {
+      this.send(socket, { type: 'error', error: 'Unknown message type' });
+      return;
+    }
+
+    // Echoed on the ack / error so the client knows which queued edit it settles
+    const { ref } = message;
+
+    try {
+      await this.enqueue(async () => {
+        const existingDoc = await this.loadDocument();
+
+        let mergedDoc;
+        let purchased;
+        try {
+          if (message.type === 'put') {
+            mergedDoc = mergeListDocument(existingDoc, message.doc, config);
+            purchased = removedCheckedItems(existingDoc, mergedDoc);
+          } else {
+            const result = applyListOps(existingDoc, message.ops, config);
+            mergedDoc = result.doc;
+            purchased = purchasedItems(existingDoc, message.ops, result.skipped);
+          }
+        } catch (error) {
+          // Same fields as the HTTP 400/413 body, so the client can point at the item
+          const detail = error instanceof ValidationError ? error.toJSON() : { error: error.message || 'Invalid item data' };
+          this.send(socket, { type: 'error', ...detail, ref });
+          return;
+        }
+
+        await this.saveDocument(mergedDoc, existingDoc);
+        if (ref !== undefined) {
+          this.send(socket, { type: 'ack', ref, version: mergedDoc.version });
+        }
+        await recordPurchases(this.env, this.token, purchased, mergedDoc.updated_at);
+      });
+    } catch {
+      this.send(socket, { type: 'error', error: 'Failed to save list', ref, retry: true });
+    }
+  }
+
+  /**
+   * Store for HTTP writes run in the queue: they load the held document and
+   * publish or close straight away (a request back to this room would wait on the queue)
+   */
+  writeStore() {
+    return {
+      load: () => this.loadDocument(),
+      save: (doc, previousDoc, historyNote) => this.saveDocument(doc, previousDoc, historyNote),
+      moved: () => this.closeAll(),
+    };
+  }
+
+  /**
+   * The room's copy in Durable Object storage is the authoritative document;
+   * KV is a mirror for the HTTP reads. A cold room still takes KV's copy when
+   * it is newer (a write made outside the room whose broadcast was lost).
+   */
+  async loadDocument() {
+    if (!this.doc) {
+      const [stored, mirrored] = await Promise.all([
+        this.state.storage.get(ROOM_DOCUMENT_KEY),
+        loadListDocument(this.env.SHOPLIST, this.token),
+      ]);
+      this.doc = stored && (stored.version || 0) >= (mirrored.version || 0) ? stored : mirrored;
+    }
+    return this.doc;
+  }
+
+  /**
+   * Save an edit made in the room: storage first, then the KV mirror and
+   * history, then publish
+   */
+  async saveDocument(doc, previousDoc, historyNote = {}) {
+    await this.state.storage.put(ROOM_DOCUMENT_KEY, doc);
+    await persistListDocument(this.env, this.token, doc, previousDoc, historyNote);
+    this.publish(doc);
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch((error) => {
+      console.error('ListRoom task failed:', error);
+    });
+    return run;
+  }
+
+  /**
+   * Replace the held document and push it to sockets (whole document)
+   * and event streams (changed items only). Documents no newer than the held
+   * one are dropped (returns false) unless reset is set (the list was deleted
+   * and starts again).
+   */
+  publish(doc, { reset = false } = {}) {
+    if (!reset && this.doc && (doc.version || 0) <= (this.doc.version || 0)) {
+      return false;
+    }
+
+    const previousItems = this.doc ? this.doc.items : [];
+    const { changed, removedIds } = diffListItems(previousItems, doc.items);
+    this.doc = doc;
+
+    this.broadcast({ type: 'list', doc: toPublicDocument(doc) });
+
+    for (const writer of this.streams) {
+      this.writeEvent(writer, 'list-updated', {
+        version: doc.version,
+        title: doc.title,
+        updated_at: doc.updated_at,
+        items: changed,
+        removedIds,
+      });
+    }
+
+    for (const waiter of this.waiters) {
+      if ((doc.version || 0) !== waiter.since) {
+        waiter.release(doc);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Disconnect every subscriber after the list moved to a new token and
+   * forget the stored document (the new token is not sent; clients find it
+   * through the redirect stub)
+   */
+  async closeAll() {
+    this.doc = null;
+    await this.state.storage.delete(ROOM_DOCUMENT_KEY);
+
+    for (const socket of this.sessions) {
+      this.send(socket, { type: 'moved' });
+      try {
+        socket.close(4000, 'List moved');
+      } catch {
+        // Already closed
+      }
+    }
+    this.sessions.clear();
+
+    for (const writer of this.streams) {
+      this.writeEvent(writer, 'moved', {});
+      writer.close().catch(() => {});
     }
-
-    // Parse path: /api/filter-specials (Filter specials by user's list using AI)
-    if (url.pathname === '/api/filter-specials' && method === 'POST') {
-      return await handleFilterSpecials(request, env);
+    this.streams.clear();
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
     }
 
-    // Parse path: /api/clear-cache (Clear RapidAPI cache - for development)
-    if (url.pathname === '/api/clear-cache' && method === 'POST') {
-      try {
-        await env.SHOPLIST.delete('catalog:specials:rapidapi');
-        return jsonResponse({ status: 'success', message: 'Cache cleared' });
-      } catch (error) {
-        return jsonResponse({ error: 'Failed to clear cache' }, 500);
-      }
+    // Answer 204 so long-poll clients retry and follow the redirect stub
+    for (const waiter of this.waiters) {
+      waiter.release(null);
     }
+  }
 
-    // Parse path: /api/list/:token
-    const pathMatch = url.pathname.match(/^\/api\/list\/([^/]+)$/);
-    if (!pathMatch) {
-      return jsonResponse({ error: 'Invalid path' }, 404);
+  /**
+   * Hold a /wait request until publish() sees a version other than `since`
+   * (200 with the document) or the long-poll timeout passes (204)
+   */
+  addWaiter(since) {
+    return new Promise((resolve) => {
+      const waiter = {
+        since,
+        release: (doc) => {
+          clearTimeout(timer);
+          this.waiters.delete(waiter);
+          resolve(doc
+            ? jsonResponse(toPublicDocument(doc), 200, { ETag: listEtag(doc) })
+            : new Response(null, { status: 204, headers: CORS_HEADERS }));
+        },
+      };
+      const timer = setTimeout(() => waiter.release(null), getListConfig(this.env).longPollTimeoutMs);
+      this.waiters.add(waiter);
+    });
+  }
+
+  broadcast(message) {
+    for (const socket of this.sessions) {
+      this.send(socket, message);
     }
+  }
 
-    const token = pathMatch[1];
+  addStream(writer) {
+    this.streams.add(writer);
+    writer.closed.catch(() => {}).finally(() => this.removeStream(writer));
 
-    // Validate token format
-    if (!TOKEN_PATTERN.test(token)) {
-      return jsonResponse({ error: 'Invalid token format' }, 400);
+    // Comment frames keep idle connections from being dropped by proxies
+    if (!this.heartbeat) {
+      this.heartbeat = setInterval(() => {
+        for (const streamWriter of this.streams) {
+          this.writeRaw(streamWriter, ': ping\n\n');
+        }
+      }, SSE_HEARTBEAT_MS);
+    }
+  }
+
+  removeStream(writer) {
+    this.streams.delete(writer);
+    if (this.streams.size === 0 && this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
     }
+  }
+
+  writeEvent(writer, event, data) {
+    this.writeRaw(writer, `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
 
-    const kvKey = `list:${token}`;
+  writeRaw(writer, text) {
+    writer.write(SSE_ENCODER.encode(text)).catch(() => {
+      // Client went away
+      this.removeStream(writer);
+    });
+  }
 
+  send(socket, message) {
     try {
-      switch (method) {
-        case 'GET':
-          return await handleGet(env.SHOPLIST, kvKey);
-        case 'PUT':
-          return await handlePut(request, env.SHOPLIST, kvKey);
-        case 'DELETE':
-          return await handleDelete(env.SHOPLIST, kvKey);
-        default:
-          return jsonResponse({ error: 'Method not allowed' }, 405);
-      }
-    } catch (error) {
-      console.error('Error:', error);
-      return jsonResponse({ error: 'Internal server error' }, 500);
+      socket.send(JSON.stringify(message));
+    } catch {
+      // Socket already closed
+      this.sessions.delete(socket);
     }
-  },
-};
+  }
+}
 
 /**
- * GET /api/list/:token
- * Returns the list document or default empty list
+ * Helper: Items added or changed between two item arrays, plus removed ids
  */
-async function handleGet(kv, kvKey) {
-  const stored = await kv.get(kvKey, 'text');
+function diffListItems(previousItems, nextItems) {
+  const previousById = new Map(previousItems.map((item) => [item.id, JSON.stringify(item)]));
+  const nextIds = new Set();
+  const changed = [];
 
-  if (!stored) {
-    return jsonResponse(createDefaultDocument());
+  for (const item of nextItems) {
+    nextIds.add(item.id);
+    if (previousById.get(item.id) !== JSON.stringify(item)) {
+      changed.push(item);
+    }
   }
 
-  const doc = JSON.parse(stored);
-  if (!Array.isArray(doc.items)) {
-    doc.items = [];
-  }
-  if (typeof doc.version !== 'number') {
-    doc.version = 0;
-  }
+  const removedIds = previousItems
+    .map((item) => item.id)
+    .filter((id) => !nextIds.has(id));
 
-  return jsonResponse(doc);
+  return { changed, removedIds };
 }
 
+// HTTP writes ListRoom runs in its queue, keyed by the X-List-Write header
+const ROOM_WRITE_HANDLERS = {
+  put: handlePut,
+  ops: handleOps,
+  bulk: handleBulk,
+  reorder: handleReorder,
+  layouts: handleSetLayouts,
+  restore: handleRestore,
+  undelete: handleUndelete,
+  lock: handleSetLock,
+  'remove-lock': handleRemoveLock,
+  rotate: handleRotate,
+  title: handleSetListTitle,
+};
+
 /**
- * PUT /api/list/:token
- * Updates the list document with validation and pos renumbering
+ * Helper: Run a list write inside the list's ListRoom so it merges in order
+ * with socket edits, or straight against KV without a LIST_ROOM binding
  */
-async function handlePut(request, kv, kvKey) {
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return jsonResponse({ error: 'Invalid JSON' }, 400);
+async function runListWrite(request, env, token, write) {
+  if (!env.LIST_ROOM) {
+    return await ROOM_WRITE_HANDLERS[write](request, env, token);
   }
 
-  // Validate structure
-  if (!body || typeof body.title !== 'string' || !Array.isArray(body.items)) {
-    return jsonResponse({ error: 'Invalid document structure' }, 400);
-  }
+  const roomRequest = new Request('https://list-room/write', request);
+  roomRequest.headers.set('X-List-Token', token);
+  roomRequest.headers.set('X-List-Write', write);
+  return getListRoom(env, token).fetch(roomRequest);
+}
 
-  const deletedItemIds = Array.isArray(body.deletedItemIds)
-    ? body.deletedItemIds.filter((id) => typeof id === 'string' && id.length > 0)
-    : [];
+/**
+ * Helper: Get the ListRoom stub for a token
+ */
+function getListRoom(env, token) {
+  return env.LIST_ROOM.get(env.LIST_ROOM.idFromName(token));
+}
+
+/**
+ * Helper: Push a saved document to the list's live sessions (no-op without a LIST_ROOM binding).
+ * reset: the list was deleted, so the room takes the document even though its version is lower.
+ */
+async function notifyListRoom(env, token, doc, { reset = false } = {}) {
+  if (!env.LIST_ROOM) return;
+
+  const headers = { 'Content-Type': 'application/json', 'X-List-Token': token };
+  if (reset) {
+    headers['X-List-Reset'] = '1';
+  }
 
-  const incomingItems = new Map();
   try {
-    body.items.forEach((item, index) => {
-      const normalized = normalizeItem(item, index);
-      incomingItems.set(normalized.id, normalized);
+    await getListRoom(env, token).fetch('https://list-room/broadcast', {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(doc),
     });
   } catch (error) {
-    return jsonResponse({ error: error.message || 'Invalid item data' }, 400);
+    // Live sync is best-effort; the document is already saved
+    console.error('Failed to notify list room:', error);
   }
+}
 
-  const stored = await kv.get(kvKey, 'text');
-  const existingDoc = stored ? JSON.parse(stored) : createDefaultDocument();
-  if (!Array.isArray(existingDoc.items)) {
-    existingDoc.items = [];
-  }
-  if (typeof existingDoc.version !== 'number') {
-    existingDoc.version = 0;
-  }
+/**
+ * Helper: Tell a rotated list's live sessions that it moved; the room closes
+ * them so clients reconnect (and follow the redirect) through the HTTP API
+ */
+async function notifyListMoved(env, token) {
+  if (!env.LIST_ROOM) return;
 
-  const existingItems = new Map();
   try {
-    existingDoc.items.forEach((item, index) => {
-      const normalized = normalizeItem(item, index);
-      existingItems.set(normalized.id, normalized);
+    await getListRoom(env, token).fetch('https://list-room/moved', {
+      method: 'POST',
+      headers: { 'X-List-Token': token },
     });
   } catch (error) {
-    // If existing data is corrupted, start fresh
-    console.error('Error normalizing existing items:', error);
+    console.error('Failed to notify list room:', error);
   }
+}
 
-  const deletedSet = new Set(deletedItemIds);
-  const mergedItems = [];
-  const processedIds = new Set();
+/**
+ * Helper: 429 with Retry-After when a request is over its route budget, else null.
+ * Uses fixed windows counted in KV (approximate, since KV is eventually
+ * consistent, but enough to stop a leaked URL draining the AI quota).
+ * The list token is passed in for list routes, else it comes from the
+ * X-List-Token header or the JSON body's token.
+ */
+async function checkRateLimit(request, env, route, listToken = null) {
+  const limits = getRateLimits(env)[route];
+  if (!limits) {
+    return null;
+  }
 
-  // Resolve items present in incoming payload
-  for (const [id, incomingItem] of incomingItems.entries()) {
-    if (deletedSet.has(id)) {
-      processedIds.add(id);
-      continue;
-    }
+  const now = Date.now();
+  const windowMs = limits.windowSeconds * 1000;
+  const windowStart = Math.floor(now / windowMs) * windowMs;
+  const retryAfter = Math.ceil((windowStart + windowMs - now) / 1000);
 
-    const existingItem = existingItems.get(id);
-    if (existingItem) {
-      const incomingUpdatedAt = Number(incomingItem.updated_at) || 0;
-      const existingUpdatedAt = Number(existingItem.updated_at) || 0;
-      mergedItems.push(incomingUpdatedAt >= existingUpdatedAt ? incomingItem : existingItem);
-      processedIds.add(id);
-    } else {
-      mergedItems.push(incomingItem);
-      processedIds.add(id);
-    }
+  const token = listToken || await readRateLimitToken(request);
+  const ip = request.headers.get('CF-Connecting-IP') || 'unknown';
+  const counters = [{ key: `ratelimit:${route}:ip:${ip}:${windowStart}`, limit: limits.perIp }];
+  if (token) {
+    counters.push({ key: `ratelimit:${route}:token:${token}:${windowStart}`, limit: limits.perToken });
   }
 
-  // Preserve items that were not included in this payload and not explicitly deleted
-  for (const [id, existingItem] of existingItems.entries()) {
-    if (processedIds.has(id)) continue;
-    if (deletedSet.has(id)) continue;
-    mergedItems.push(existingItem);
-  }
+  try {
+    const counts = await Promise.all(counters.map(async ({ key }) => Number(await env.SHOPLIST.get(key, 'text')) || 0));
 
-  mergedItems.sort((a, b) => (a.pos ?? 0) - (b.pos ?? 0));
-  mergedItems.forEach((item, index) => {
-    item.pos = index;
-  });
+    if (counters.some((counter, index) => counts[index] >= counter.limit)) {
+      return jsonResponse({ error: 'Rate limit exceeded', retry_after: retryAfter }, 429, {
+        'Retry-After': String(retryAfter),
+      });
+    }
 
-  const nextVersion = (existingDoc.version || 0) + 1;
-  const incomingTitle = typeof body.title === 'string' ? body.title : existingDoc.title || 'Shopping';
+    await Promise.all(counters.map(({ key }, index) =>
+      env.SHOPLIST.put(key, String(counts[index] + 1), { expirationTtl: Math.max(60, retryAfter + 60) })
+    ));
+  } catch (error) {
+    // Fail open: a KV hiccup should not take the AI features (or unlocking) down
+    console.error('Rate limit check failed:', error);
+  }
 
-  const mergedDoc = {
-    title: incomingTitle,
-    items: mergedItems,
-    version: nextVersion,
-    updated_at: Date.now(),
-  };
+  return null;
+}
 
-  await kv.put(kvKey, JSON.stringify(mergedDoc));
+function getRateLimits(env = {}) {
+  let overrides = {};
+  if (env.RATE_LIMITS) {
+    try {
+      overrides = JSON.parse(env.RATE_LIMITS);
+    } catch {
+      console.error('Invalid RATE_LIMITS; using defaults');
+    }
+  }
 
-  return jsonResponse(mergedDoc);
+  const limits = {};
+  for (const [route, defaults] of Object.entries(DEFAULT_RATE_LIMITS)) {
+    const override = overrides[route] || {};
+    limits[route] = {
+      perToken: readPositiveNumber(override.perToken, defaults.perToken),
+      perIp: readPositiveNumber(override.perIp, defaults.perIp),
+      windowSeconds: readPositiveNumber(override.windowSeconds, defaults.windowSeconds),
+    };
+  }
+  return limits;
 }
 
-/**
- * DELETE /api/list/:token
- * Deletes the list document
- */
-async function handleDelete(kv, kvKey) {
-  await kv.delete(kvKey);
-  return jsonResponse({ ok: true });
+async function readRateLimitToken(request) {
+  const header = request.headers.get('X-List-Token');
+  if (header && TOKEN_PATTERN.test(header)) {
+    return header;
+  }
+
+  try {
+    const body = await request.clone().json();
+    return body && typeof body.token === 'string' && TOKEN_PATTERN.test(body.token) ? body.token : null;
+  } catch {
+    return null;
+  }
 }
 
 /**
  * Helper: Create JSON response with CORS headers
  */
-function jsonResponse(data, status = 200) {
+function jsonResponse(data, status = 200, headers = {}) {
   return new Response(JSON.stringify(data), {
     status,
     headers: {
       'Content-Type': 'application/json',
       ...CORS_HEADERS,
+      ...headers,
     },
   });
 }
@@ -358,6 +3379,7 @@ function createDefaultDocument() {
   return {
     title: 'Shopping',
     items: [],
+    tombstones: [],
     version: 0,
     updated_at: Date.now(),
   };
@@ -365,19 +3387,19 @@ function createDefaultDocument() {
 
 function normalizeItem(item, fallbackPos = 0) {
   if (!item || typeof item !== 'object') {
-    throw new Error('Invalid item structure');
+    throw new ValidationError('Invalid item structure');
   }
 
   if (typeof item.id !== 'string' || !item.id) {
-    throw new Error('Item missing id');
+    throw new ValidationError('Item missing id', { field: 'id' });
   }
 
   if (typeof item.label !== 'string') {
-    throw new Error('Item missing label');
+    throw new ValidationError('Item missing label', { field: 'label' });
   }
 
   if (typeof item.checked !== 'boolean') {
-    throw new Error('Item missing checked state');
+    throw new ValidationError('Item missing checked state', { field: 'checked' });
   }
 
   const tags = Array.isArray(item.tags)
@@ -390,15 +3412,223 @@ function normalizeItem(item, fallbackPos = 0) {
   }
 
   const pos = Number.isFinite(item.pos) ? Number(item.pos) : fallbackPos;
+  const checkedBy = normalizeCheckedBy(item.checked_by);
+  const { quantity, unit } = normalizeQuantity(item.quantity, item.unit);
+  const note = normalizeNote(item.note);
+  const product = normalizeProduct(item.product, updatedAt);
+  const category = normalizeCategory(item.category);
 
-  return {
+  // Per-field timestamps; fields a client did not stamp fall back to updated_at.
+  // Optional fields it did not send get no timestamp, so they never win a merge.
+  const rawFieldUpdatedAt = item.field_updated_at && typeof item.field_updated_at === 'object'
+    ? item.field_updated_at
+    : {};
+  const fieldUpdatedAt = {};
+  for (const field of ITEM_MERGE_FIELDS) {
+    const fieldTs = Number(rawFieldUpdatedAt[field]);
+    if (Number.isFinite(fieldTs) && fieldTs > 0) {
+      fieldUpdatedAt[field] = fieldTs;
+    } else if (!OPTIONAL_ITEM_FIELDS.includes(field) || item[field] !== undefined) {
+      fieldUpdatedAt[field] = updatedAt;
+    }
+  }
+
+  const normalized = {
     id: item.id,
     label: item.label,
     checked: item.checked,
     tags,
     pos,
-    updated_at: updatedAt,
+    updated_at: Math.max(updatedAt, ...Object.values(fieldUpdatedAt)),
+    field_updated_at: fieldUpdatedAt,
   };
+
+  if (checkedBy !== null) {
+    normalized.checked_by = checkedBy;
+  }
+
+  if (quantity !== null) {
+    normalized.quantity = quantity;
+    normalized.unit = unit;
+  }
+
+  if (note !== null) {
+    normalized.note = note;
+  }
+
+  if (product !== null) {
+    normalized.product = product;
+  }
+
+  if (category !== null) {
+    normalized.category = category;
+  }
+
+  return normalized;
+}
+
+/**
+ * Helper: Give an item added by an op a category guessed from its label,
+ * unless the client chose one (or explicitly chose none)
+ */
+function categorizeNewItem(item) {
+  if (item.field_updated_at.category === undefined) {
+    const category = categorizeItem(item.label);
+    if (category) {
+      item.category = category;
+      item.field_updated_at.category = item.updated_at;
+    }
+  }
+  return item;
+}
+
+/**
+ * Helper: Validate an optional aisle category (one of ITEM_CATEGORIES);
+ * returns null when it is missing or empty
+ */
+function normalizeCategory(category) {
+  if (category === undefined || category === null || category === '') {
+    return null;
+  }
+
+  if (!ITEM_CATEGORIES.includes(category)) {
+    throw new ValidationError('Invalid category', { field: 'category' });
+  }
+
+  return category;
+}
+
+/**
+ * Helper: Validate the optional name of whoever ticked an item; returns null
+ * when it is missing or empty
+ */
+function normalizeCheckedBy(checkedBy) {
+  if (checkedBy === undefined || checkedBy === null) {
+    return null;
+  }
+
+  if (typeof checkedBy !== 'string') {
+    throw new ValidationError('Invalid checked_by', { field: 'checked_by' });
+  }
+
+  const name = checkedBy.trim();
+  if (name.length > MAX_CHECKED_BY_LENGTH) {
+    throw new ValidationError('checked_by too long', { field: 'checked_by', limit: MAX_CHECKED_BY_LENGTH });
+  }
+
+  return name || null;
+}
+
+/**
+ * Helper: Validate an optional note; returns null when it is missing or empty.
+ * Throws a ValidationError when it is not a string.
+ */
+function normalizeNote(note) {
+  if (note === undefined || note === null) {
+    return null;
+  }
+
+  if (typeof note !== 'string') {
+    throw new ValidationError('Invalid note', { field: 'note' });
+  }
+
+  return note.trim() || null;
+}
+
+/**
+ * Helper: Validate the catalog product linked to an item; returns null when
+ * there is none. Keeps only the known fields, and stamps priced_at with
+ * `pricedAt` when the client did not send one.
+ * Throws a ValidationError (field `product`) on anything malformed.
+ */
+function normalizeProduct(product, pricedAt = Date.now()) {
+  if (product === undefined || product === null) {
+    return null;
+  }
+
+  if (typeof product !== 'object' || Array.isArray(product)) {
+    throw new ValidationError('Invalid product', { field: 'product' });
+  }
+
+  const normalized = {};
+  for (const field of PRODUCT_TEXT_FIELDS) {
+    let value = product[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (field === 'productId' && typeof value === 'number' && Number.isFinite(value)) {
+      value = String(value);
+    }
+    if (typeof value !== 'string') {
+      throw new ValidationError(`Invalid product ${field}`, { field: 'product' });
+    }
+    value = value.trim();
+    if (value.length > MAX_PRODUCT_TEXT_LENGTH) {
+      throw new ValidationError(`Product ${field} too long`, { field: 'product', limit: MAX_PRODUCT_TEXT_LENGTH });
+    }
+    if (value) {
+      normalized[field] = value;
+    }
+  }
+
+  if (!normalized.name) {
+    throw new ValidationError('Product missing name', { field: 'product' });
+  }
+
+  for (const field of ['price', 'wasPrice']) {
+    const value = product[field];
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new ValidationError(`Invalid product ${field}`, { field: 'product' });
+    }
+    normalized[field] = value;
+  }
+
+  if (product.onSpecial !== undefined && typeof product.onSpecial !== 'boolean') {
+    throw new ValidationError('Invalid product onSpecial', { field: 'product' });
+  }
+  normalized.onSpecial = product.onSpecial ?? (normalized.wasPrice > normalized.price);
+
+  if (product.url !== undefined && product.url !== null && product.url !== '') {
+    if (typeof product.url !== 'string' || product.url.length > MAX_PRODUCT_URL_LENGTH || !/^https?:\/\//i.test(product.url)) {
+      throw new ValidationError('Invalid product url', { field: 'product' });
+    }
+    normalized.url = product.url;
+  }
+
+  const pricedAtValue = Number(product.priced_at);
+  if (product.priced_at !== undefined && product.priced_at !== null && (!Number.isFinite(pricedAtValue) || pricedAtValue <= 0)) {
+    throw new ValidationError('Invalid product priced_at', { field: 'product' });
+  }
+  normalized.priced_at = product.priced_at == null ? pricedAt : pricedAtValue;
+
+  return normalized;
+}
+
+/**
+ * Helper: Validate an optional quantity and unit. Returns nulls when no
+ * quantity is given (a unit alone is dropped); units match ITEM_UNITS
+ * case-insensitively. Throws a ValidationError on anything else.
+ */
+function normalizeQuantity(quantity, unit) {
+  if (quantity === undefined || quantity === null) {
+    return { quantity: null, unit: null };
+  }
+
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+    throw new ValidationError('Invalid quantity', { field: 'quantity' });
+  }
+
+  if (unit === undefined || unit === null || unit === '') {
+    return { quantity, unit: null };
+  }
+
+  const knownUnit = typeof unit === 'string'
+    ? ITEM_UNITS.find((candidate) => candidate.toLowerCase() === unit.toLowerCase())
+    : undefined;
+  if (!knownUnit) {
+    throw new ValidationError('Invalid unit', { field: 'unit' });
+  }
+
+  return { quantity, unit: knownUnit };
 }
 
 /**
@@ -524,10 +3754,12 @@ ${prompt}
 【出力形式】
 以下のJSON形式で出力してください。説明文やマークダウンは不要です:
 
-{"items":[{"label":"商品名(日本語または英語)","tags":["店舗名"],"checked":false}]}
+{"items":[{"label":"商品名(日本語または英語)","tags":["店舗名"],"checked":false,"quantity":数量,"unit":"単位","category":"売り場"}]}
+- quantity と unit は省略可能。unit は g, kg, ml, L, pack, each のいずれか（個数は each）
+- category は売り場。${ITEM_CATEGORIES.join(', ')} のいずれか（わからなければ省略）
 
 例:
-{"items":[{"label":"牛肉 500g","tags":["Woolies"],"checked":false},{"label":"玉ねぎ 2個","tags":["Coles"],"checked":false}]}`
+{"items":[{"label":"牛肉","tags":["Woolies"],"checked":false,"quantity":500,"unit":"g","category":"meat"},{"label":"玉ねぎ","tags":["Coles"],"checked":false,"quantity":2,"unit":"each","category":"produce"}]}`
         },
       ],
     }),
@@ -734,9 +3966,40 @@ function safeParseList(text) {
       checked: true, // Initial state is checked for preview
       pos: index,
       updated_at: Date.now(),
+      ...parseAIQuantity(item),
+      ...parseAICategory(item),
     }));
 }
 
+/**
+ * Helper: Quantity and unit from an AI item, if it supplied valid ones.
+ * Numeric strings ("2") are accepted; anything invalid is dropped.
+ */
+function parseAIQuantity(item) {
+  const quantity = typeof item.quantity === 'string' ? Number(item.quantity) : item.quantity;
+  try {
+    const normalized = normalizeQuantity(quantity, item.unit);
+    return normalized.quantity === null ? {} : normalized;
+  } catch {
+    try {
+      // Keep the number even if the unit is not one we know
+      const normalized = normalizeQuantity(quantity, null);
+      return normalized.quantity === null ? {} : normalized;
+    } catch {
+      return {};
+    }
+  }
+}
+
+/**
+ * Helper: Aisle category from an AI item, guessed from the label when the
+ * AI left it out or chose one we do not know
+ */
+function parseAICategory(item) {
+  const category = ITEM_CATEGORIES.includes(item.category) ? item.category : categorizeItem(item.label);
+  return category ? { category } : {};
+}
+
 /**
  * POST /api/generate
  * Generate shopping list using AI (OpenRouter)
@@ -766,6 +4029,15 @@ async function handleGenerate(request, env) {
     return jsonResponse({ error: 'Invalid token format' }, 400);
   }
 
+  if (isViewToken(token)) {
+    return jsonResponse({ error: 'This share link is view-only' }, 403);
+  }
+
+  const locked = await checkListLock(request, env, token);
+  if (locked) {
+    return locked;
+  }
+
   // Fetch existing list document
   const kvKey = `list:${token}`;
   const stored = await env.SHOPLIST.get(kvKey, 'text');
@@ -1037,7 +4309,10 @@ async function handleAIMatch(request, env) {
     
     return jsonResponse({
       status: 'success',
-      matches,
+      // product: the best match in the shape stored on list items (set-product op)
+      matches: matches.map((match) => (
+        match.bestMatch ? { ...match, product: toListProduct(match.bestMatch) } : match
+      )),
       catalogSize: catalogItems.length,
       totalSavings: Math.round(totalSavings * 100) / 100,
       method: matches[0]?.method || 'ai',
@@ -1199,7 +4474,10 @@ async function handleAIMatchRapidAPI(request, env) {
     
     return jsonResponse({
       status: 'success',
-      matches,
+      // product: the best match in the shape stored on list items (set-product op)
+      matches: matches.map((match) => (
+        match.bestMatch ? { ...match, product: toListProduct(match.bestMatch) } : match
+      )),
       catalogSize: catalogItems.length,
       totalSavings: Math.round(totalSavings * 100) / 100,
       method: matches[0]?.method || 'ai',
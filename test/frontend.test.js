@@ -5,6 +5,7 @@
  * - Data normalization
  * - Token generation
  * - Tag filtering and validation
+ * - Quantity parsing from item input
  */
 
 import { describe, it, expect } from 'vitest';
@@ -63,6 +64,35 @@ function generateToken() {
     .replace(/=/g, '');
 }
 
+const QUANTITY_UNIT_ALIASES = {
+  g: 'g', グラム: 'g',
+  kg: 'kg', キロ: 'kg',
+  ml: 'ml', ミリリットル: 'ml',
+  l: 'L', リットル: 'L',
+  pack: 'pack', packs: 'pack', パック: 'pack', 袋: 'pack',
+  each: 'each', 個: 'each', 本: 'each', 枚: 'each', 缶: 'each',
+};
+
+const COUNT_SUFFIX = /^(.+?)(?:\s*[×✕＊*]|\s+[xX]|(?<=[^\x00-\x7F])[xX])\s*([0-9０-９]+(?:[.．][0-9０-９]+)?)$/;
+const MEASURE_SUFFIX = /^(.+?)\s*([0-9０-９]+(?:[.．][0-9０-９]+)?)\s*([a-zA-Z]+|[^\s0-9０-９]+)$/;
+
+function parseQuantityInput(text) {
+  const toNumber = value => Number(value.normalize('NFKC'));
+
+  let match = text.match(COUNT_SUFFIX);
+  if (match) {
+    return { label: match[1].trim(), quantity: toNumber(match[2]), unit: 'each' };
+  }
+
+  match = text.match(MEASURE_SUFFIX);
+  const unit = match && QUANTITY_UNIT_ALIASES[match[3].normalize('NFKC').toLowerCase()];
+  if (unit && match[1].trim()) {
+    return { label: match[1].trim(), quantity: toNumber(match[2]), unit };
+  }
+
+  return { label: text, quantity: null, unit: null };
+}
+
 describe('Frontend Helper Functions', () => {
   describe('normalizeListData', () => {
     it('should return default values for null/undefined input', () => {
@@ -370,4 +400,32 @@ describe('Frontend Helper Functions', () => {
       expect(token1.charCodeAt(0)).not.toBe(token2.charCodeAt(0));
     });
   });
+
+  describe('parseQuantityInput', () => {
+    it('should parse a trailing size with a unit', () => {
+      expect(parseQuantityInput('milk 2L')).toEqual({ label: 'milk', quantity: 2, unit: 'L' });
+      expect(parseQuantityInput('牛肉 500 g')).toEqual({ label: '牛肉', quantity: 500, unit: 'g' });
+      expect(parseQuantityInput('Coke 1.25L')).toEqual({ label: 'Coke', quantity: 1.25, unit: 'L' });
+      expect(parseQuantityInput('鶏肉 ６００ｇ')).toEqual({ label: '鶏肉', quantity: 600, unit: 'g' });
+    });
+
+    it('should parse counts as each', () => {
+      expect(parseQuantityInput('卵 x2')).toEqual({ label: '卵', quantity: 2, unit: 'each' });
+      expect(parseQuantityInput('卵x2')).toEqual({ label: '卵', quantity: 2, unit: 'each' });
+      expect(parseQuantityInput('ビール 6缶')).toEqual({ label: 'ビール', quantity: 6, unit: 'each' });
+    });
+
+    it('should count packs of a size and keep the size in the label', () => {
+      // Two 1L bottles, not 2L of milk: the count wins and the size names the product
+      expect(parseQuantityInput('牛乳 1L x2')).toEqual({ label: '牛乳 1L', quantity: 2, unit: 'each' });
+      expect(parseQuantityInput('Coke 1.25L x6')).toEqual({ label: 'Coke 1.25L', quantity: 6, unit: 'each' });
+      expect(parseQuantityInput('ひき肉 500g ×2')).toEqual({ label: 'ひき肉 500g', quantity: 2, unit: 'each' });
+    });
+
+    it('should leave labels without a recognised quantity alone', () => {
+      for (const text of ['パン', 'Xbox 360', 'Max2', '7up', '卵 6個入り']) {
+        expect(parseQuantityInput(text)).toEqual({ label: text, quantity: null, unit: null });
+      }
+    });
+  });
 });
@@ -8,10 +8,33 @@
  * - Data validation and normalization
  * - Concurrent edit merging
  * - Version management
+ * - Live sync (ListRoom Durable Object)
+ * - Operation-based edits (POST /ops)
+ * - Tombstones for deleted items
+ * - ETag / If-None-Match / If-Match
+ * - Version history and restore
+ * - Trash, undelete and purge
+ * - Workspaces (multiple lists per household)
+ * - View-only share links
+ * - Token rotation and revocation
+ * - Passphrase lock and unlock sessions
+ * - Rate limiting for AI / RapidAPI routes
+ * - Document size limits and validation error details
+ * - Long polling (GET /wait)
+ * - Item quantity and unit
+ * - Item notes
+ * - Linked catalog products (item.product)
+ * - Aisle categories
+ * - Store layouts (per-store aisle order)
+ * - Reordering (POST /reorder)
+ * - Bulk actions (POST /bulk)
+ * - Purchase log (GET /purchases)
+ * - Usual items suggestions (GET /suggestions)
  */
 
 import { describe, it, expect, beforeEach, vi } from 'vitest';
-import worker from '../src/worker.js';
+import worker, { ListRoom } from '../src/worker.js';
+import { simpleKeywordMatch } from '../src/catalog-ai-matcher.js';
 
 // Mock KV store
 class MockKVNamespace {
@@ -37,6 +60,59 @@ class MockKVNamespace {
   }
 }
 
+// Mock server-side WebSocket (the half a Durable Object keeps)
+// Durable Object storage (only the key-value methods ListRoom uses)
+class MockDurableStorage {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.has(key) ? structuredClone(this.data.get(key)) : undefined;
+  }
+
+  async put(key, value) {
+    this.data.set(key, structuredClone(value));
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+}
+
+function createRoom(env) {
+  return new ListRoom({ storage: new MockDurableStorage() }, env);
+}
+
+class MockSocket {
+  constructor() {
+    this.sent = [];
+    this.listeners = {};
+  }
+
+  accept() {}
+
+  addEventListener(type, listener) {
+    this.listeners[type] = listener;
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close(code, reason) {
+    this.closed = { code, reason };
+  }
+
+  async receive(message) {
+    await this.listeners.message({ data: JSON.stringify(message) });
+  }
+
+  lastMessage() {
+    return this.sent[this.sent.length - 1];
+  }
+}
+
 // Helper to create mock request
 function createRequest(method, path, body = null) {
   const init = {
@@ -53,6 +129,19 @@ function createRequest(method, path, body = null) {
   return new Request(`https://example.com${path}`, init);
 }
 
+// Helpers for list writes (env is rebuilt for every test, so it is passed in)
+function putList(env, token, body) {
+  return worker.fetch(createRequest('PUT', `/api/list/${token}`, body), env);
+}
+
+function putItems(env, token, items) {
+  return putList(env, token, { title: 'Shopping', items });
+}
+
+function postOps(env, token, ops) {
+  return worker.fetch(createRequest('POST', `/api/list/${token}/ops`, { ops }), env);
+}
+
 describe('Cloudflare Worker API', () => {
   let mockKV;
   let env;
@@ -684,6 +773,190 @@ describe('Cloudflare Worker API', () => {
       expect(item3).toBeDefined();
       expect(item3.label).toBe('Item 3');
     });
+
+    it('should keep a rename and a concurrent check-off of the same item', async () => {
+      const token = 'field-merge-token-123';
+      const base = { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 };
+
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'List', items: [base], deletedItemIds: [],
+      }), env);
+
+      // User A ticks the item
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'List',
+        items: [{
+          ...base,
+          checked: true,
+          updated_at: 2000,
+          field_updated_at: { label: 1000, checked: 2000, tags: 1000, pos: 1000 },
+        }],
+        deletedItemIds: [],
+      }), env);
+
+      // User B renames it later, from a copy that still shows it unchecked
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'List',
+        items: [{
+          ...base,
+          label: 'Milk (2L)',
+          updated_at: 3000,
+          field_updated_at: { label: 3000, checked: 1000, tags: 1000, pos: 1000 },
+        }],
+        deletedItemIds: [],
+      }), env);
+
+      const data = await response.json();
+      expect(data.items[0].label).toBe('Milk (2L)');
+      expect(data.items[0].checked).toBe(true);
+      expect(data.items[0].field_updated_at).toEqual({ label: 3000, checked: 2000, tags: 1000, pos: 1000 });
+      expect(data.items[0].updated_at).toBe(3000);
+    });
+
+    it('should resolve the same field by its own timestamp', async () => {
+      const token = 'field-merge-token-456';
+      const base = { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 };
+
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'List',
+        items: [{ ...base, tags: ['Coles'], updated_at: 4000, field_updated_at: { tags: 4000 } }],
+        deletedItemIds: [],
+      }), env);
+
+      // Older retag arrives later, together with a newer label edit
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'List',
+        items: [{
+          ...base,
+          label: 'Oat milk',
+          tags: ['Woolies'],
+          updated_at: 5000,
+          field_updated_at: { label: 5000, checked: 1000, tags: 3000, pos: 1000 },
+        }],
+        deletedItemIds: [],
+      }), env);
+
+      const data = await response.json();
+      expect(data.items[0].label).toBe('Oat milk');
+      expect(data.items[0].tags).toEqual(['Coles']);
+    });
+
+    it('should fill missing field timestamps from updated_at', async () => {
+      const response = await worker.fetch(createRequest('PUT', '/api/list/field-default-token-12', {
+        title: 'List',
+        items: [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000, field_updated_at: { checked: 2000 } }],
+        deletedItemIds: [],
+      }), env);
+
+      const data = await response.json();
+      expect(data.items[0].field_updated_at).toEqual({ label: 1000, checked: 2000, tags: 1000, pos: 1000 });
+      expect(data.items[0].updated_at).toBe(2000);
+    });
+
+    it('should apply ops per field so a stale rename does not undo a newer check-off', async () => {
+      const token = 'field-ops-token-123456';
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'List',
+        items: [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }],
+        deletedItemIds: [],
+      }), env);
+
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'toggle', id: 'item-1', ts: 3000, checked: true },
+          { type: 'update-label', id: 'item-1', ts: 2000, label: 'Milk (2L)' },
+        ],
+      }), env);
+      const result = await response.json();
+      expect(result.skipped).toEqual([]);
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items[0].label).toBe('Milk (2L)');
+      expect(stored.items[0].checked).toBe(true);
+      expect(stored.items[0].field_updated_at.label).toBe(2000);
+      expect(stored.items[0].field_updated_at.checked).toBe(3000);
+    });
+  });
+
+  describe('Tombstones', () => {
+    const token = 'tombstone-token-123456';
+    const milk = { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 };
+    const eggs = { id: 'item-2', label: 'Eggs', checked: false, tags: [], pos: 1, updated_at: 1000 };
+
+    async function put(body) {
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, body), env);
+      return response.json();
+    }
+
+    it('should record a tombstone for deleted items and expose it on GET', async () => {
+      await put({ title: 'List', items: [milk, eggs], deletedItemIds: [] });
+      await put({ title: 'List', items: [eggs], deletedItemIds: ['item-1'] });
+
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}`), env);
+      const data = await response.json();
+
+      expect(data.items.map(item => item.id)).toEqual(['item-2']);
+      expect(data.tombstones).toHaveLength(1);
+      expect(data.tombstones[0].id).toBe('item-1');
+      expect(data.tombstones[0].deleted_at).toBeGreaterThan(0);
+    });
+
+    it('should not let a stale client bring a deleted item back', async () => {
+      await put({ title: 'List', items: [milk, eggs], deletedItemIds: [] });
+      await put({ title: 'List', items: [eggs], deletedItemIds: ['item-1'] });
+
+      // Another client still holds the old list and saves it
+      const data = await put({ title: 'List', items: [milk, { ...eggs, checked: true, updated_at: 2000 }], deletedItemIds: [] });
+
+      expect(data.items.map(item => item.id)).toEqual(['item-2']);
+      expect(data.items[0].checked).toBe(true);
+    });
+
+    it('should restore an item edited after its deletion', async () => {
+      await put({ title: 'List', items: [milk], deletedItemIds: [] });
+      const afterDelete = await put({ title: 'List', items: [], deletedItemIds: ['item-1'] });
+      const deletedAt = afterDelete.tombstones[0].deleted_at;
+
+      const data = await put({ title: 'List', items: [{ ...milk, label: 'Milk 2L', updated_at: deletedAt + 1 }], deletedItemIds: [] });
+
+      expect(data.items.map(item => item.label)).toEqual(['Milk 2L']);
+      expect(data.tombstones).toEqual([]);
+    });
+
+    it('should tombstone delete ops and skip older ops on the deleted item', async () => {
+      await put({ title: 'List', items: [milk], deletedItemIds: [] });
+
+      const request = createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'delete', id: 'item-1', ts: 3000 },
+          { type: 'add', id: 'item-1', ts: 2500, label: 'Milk' },
+        ],
+      });
+      const response = await worker.fetch(request, env);
+      const result = await response.json();
+      expect(result.skipped).toEqual([1]);
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items).toEqual([]);
+      expect(stored.tombstones).toEqual([{ id: 'item-1', deleted_at: 3000 }]);
+    });
+
+    it('should drop tombstones older than the retention window', async () => {
+      env.TOMBSTONE_RETENTION_DAYS = '1';
+      await mockKV.put(`list:${token}`, JSON.stringify({
+        title: 'List',
+        items: [],
+        tombstones: [
+          { id: 'old-item', deleted_at: Date.now() - 2 * 24 * 60 * 60 * 1000 },
+          { id: 'recent-item', deleted_at: Date.now() - 60 * 1000 },
+        ],
+        version: 1,
+      }));
+
+      const data = await put({ title: 'List', items: [], deletedItemIds: [] });
+
+      expect(data.tombstones.map(t => t.id)).toEqual(['recent-item']);
+    });
   });
 
   describe('Version Management', () => {
@@ -754,6 +1027,234 @@ describe('Cloudflare Worker API', () => {
     });
   });
 
+  describe('Optimistic Concurrency (ETag)', () => {
+    const token = 'etag-token-1234567890';
+    const doc = {
+      title: 'List',
+      items: [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }],
+      version: 5,
+      updated_at: 1000,
+    };
+
+    beforeEach(async () => {
+      await mockKV.put(`list:${token}`, JSON.stringify(doc));
+    });
+
+    function requestWithHeaders(method, path, headers, body = null) {
+      return new Request(`https://example.com${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: body ? JSON.stringify(body) : null,
+      });
+    }
+
+    it('should return an ETag built from the version on GET', async () => {
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}`), env);
+
+      expect(response.headers.get('ETag')).toBe('"5"');
+      expect(response.headers.get('Access-Control-Expose-Headers')).toContain('ETag');
+    });
+
+    it('should answer a matching If-None-Match with 304', async () => {
+      const response = await worker.fetch(requestWithHeaders('GET', `/api/list/${token}`, { 'If-None-Match': '"5"' }), env);
+
+      expect(response.status).toBe(304);
+      expect(response.headers.get('ETag')).toBe('"5"');
+      expect(await response.text()).toBe('');
+    });
+
+    it('should return the document when If-None-Match is stale', async () => {
+      const response = await worker.fetch(requestWithHeaders('GET', `/api/list/${token}`, { 'If-None-Match': '"4"' }), env);
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.version).toBe(5);
+    });
+
+    it('should accept a PUT whose If-Match matches and return the new ETag', async () => {
+      const response = await worker.fetch(requestWithHeaders('PUT', `/api/list/${token}`, { 'If-Match': '"5"' }, {
+        title: 'List', items: [], deletedItemIds: [],
+      }), env);
+
+      expect(response.status).toBe(200);
+      expect(response.headers.get('ETag')).toBe('"6"');
+    });
+
+    it('should return 409 with the current document when If-Match differs', async () => {
+      const response = await worker.fetch(requestWithHeaders('PUT', `/api/list/${token}`, { 'If-Match': '"4"' }, {
+        title: 'Overwrite', items: [], deletedItemIds: [],
+      }), env);
+
+      expect(response.status).toBe(409);
+      const data = await response.json();
+      expect(data.error).toBe('Version conflict');
+      expect(data.current.version).toBe(5);
+      expect(data.current.items[0].label).toBe('Milk');
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.title).toBe('List');
+    });
+
+    it('should honour If-Match on ops batches', async () => {
+      const response = await worker.fetch(requestWithHeaders('POST', `/api/list/${token}/ops`, { 'If-Match': '"3"' }, {
+        ops: [{ type: 'toggle', id: 'item-1', ts: 2000 }],
+      }), env);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Version History', () => {
+    const token = 'history-token-1234567';
+    const milk = { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 };
+    const eggs = { id: 'item-2', label: 'Eggs', checked: false, tags: [], pos: 1, updated_at: 1000 };
+
+    async function put(body) {
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, body), env);
+      return response.json();
+    }
+
+    async function getHistory() {
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}/history`), env);
+      return response.json();
+    }
+
+    beforeEach(() => {
+      // Keep every version apart; merging is covered on its own below
+      env.HISTORY_MERGE_SECONDS = '0';
+    });
+
+    it('should list saved versions newest first with change summaries', async () => {
+      await put({ title: 'List', items: [milk, eggs], deletedItemIds: [] });
+      await put({ title: 'List', items: [{ ...milk, checked: true, updated_at: 2000 }], deletedItemIds: ['item-2'] });
+
+      const data = await getHistory();
+
+      expect(data.versions.map(v => v.version)).toEqual([2, 1]);
+      expect(data.versions[1].summary).toEqual({ added: 2, updated: 0, removed: 0, item_count: 2 });
+      expect(data.versions[0].summary).toEqual({ added: 0, updated: 1, removed: 1, item_count: 1 });
+      expect(data.versions[0].updated_at).toBeGreaterThan(0);
+    });
+
+    it('should record ops batches in history', async () => {
+      await put({ title: 'List', items: [milk], deletedItemIds: [] });
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'add', id: 'item-2', ts: 2000, label: 'Eggs' }],
+      }), env);
+
+      const data = await getHistory();
+      expect(data.versions[0].version).toBe(2);
+      expect(data.versions[0].summary.added).toBe(1);
+    });
+
+    it('should keep only the newest HISTORY_LIMIT versions', async () => {
+      env.HISTORY_LIMIT = '2';
+      for (let i = 0; i < 4; i++) {
+        await put({ title: 'List', items: [], deletedItemIds: [] });
+      }
+
+      const data = await getHistory();
+      expect(data.versions.map(v => v.version)).toEqual([4, 3]);
+      expect(await mockKV.get(`history:${token}:1`)).toBeNull();
+      expect(await mockKV.get(`history:${token}:3`)).not.toBeNull();
+    });
+
+    it('should fold rapid additions and ticks into one version', async () => {
+      delete env.HISTORY_MERGE_SECONDS;
+      await put({ title: 'List', items: [milk], deletedItemIds: [] });
+      const writes = vi.spyOn(mockKV, 'put');
+
+      await postOps(env, token, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Eggs' }]);
+      await postOps(env, token, [{ type: 'toggle', id: 'item-1', ts: 3000, checked: true }]);
+
+      // The list document and the history index, nothing else
+      expect(writes.mock.calls.map(([key]) => key)).toEqual([
+        `list:${token}`, `history:${token}`, `list:${token}`, `history:${token}`,
+      ]);
+      const data = await getHistory();
+      expect(data.versions).toHaveLength(1);
+      expect(data.versions[0].version).toBe(3);
+      expect(data.versions[0].summary).toEqual({ added: 2, updated: 1, removed: 0, item_count: 2, merged: 3 });
+      expect(data.versions[0].snapshot).toBeUndefined();
+
+      const restored = await worker.fetch(createRequest('POST', `/api/list/${token}/restore`, { version: 3 }), env);
+      expect((await restored.json()).items.map(item => [item.label, item.checked])).toEqual([['Milk', true], ['Eggs', false]]);
+    });
+
+    it('should restore a version that was folded into a later one', async () => {
+      delete env.HISTORY_MERGE_SECONDS;
+      await put({ title: 'List', items: [milk], deletedItemIds: [] });
+      await postOps(env, token, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Eggs' }]);
+      await postOps(env, token, [{ type: 'add', id: 'item-3', ts: 3000, label: 'Bread' }]);
+      await postOps(env, token, [{ type: 'delete', id: 'item-3', ts: 4000 }]);
+
+      const data = await getHistory();
+      expect(data.versions.map(v => [v.version, v.merged_from])).toEqual([[4, undefined], [3, 1]]);
+
+      // Version 2 was shown to clients before it was folded into version 3
+      const restored = await worker.fetch(createRequest('POST', `/api/list/${token}/restore`, { version: 2 }), env);
+      expect(restored.status).toBe(200);
+      expect((await restored.json()).items.map(item => item.label)).toEqual(['Milk', 'Eggs', 'Bread']);
+
+      const missing = await worker.fetch(createRequest('POST', `/api/list/${token}/restore`, { version: 9 }), env);
+      expect(missing.status).toBe(404);
+    });
+
+    it('should start a new version for removals, notes and edits after the merge window', async () => {
+      env.HISTORY_MERGE_SECONDS = '60';
+      await put({ title: 'List', items: [milk, eggs], deletedItemIds: [] });
+      await postOps(env, token, [{ type: 'delete', id: 'item-2', ts: 2000 }]);
+      await postOps(env, token, [{ type: 'toggle', id: 'item-1', ts: 3000, checked: true }]);
+      await worker.fetch(createRequest('POST', `/api/list/${token}/bulk`, { action: 'uncheck-all' }), env);
+
+      vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+      await postOps(env, token, [{ type: 'add', id: 'item-3', ts: 4000, label: 'Bread' }]);
+      vi.restoreAllMocks();
+
+      const data = await getHistory();
+      expect(data.versions.map(v => v.version)).toEqual([5, 4, 3, 2, 1]);
+
+      const restored = await worker.fetch(createRequest('POST', `/api/list/${token}/restore`, { version: 1 }), env);
+      expect((await restored.json()).items.map(item => item.label)).toEqual(['Milk', 'Eggs']);
+    });
+
+    it('should restore a version as a new version', async () => {
+      await put({ title: 'List', items: [milk, eggs], deletedItemIds: [] });
+      // Accidentally cleared
+      await put({ title: 'List', items: [], deletedItemIds: ['item-1', 'item-2'] });
+
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/restore`, { version: 1 }), env);
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.version).toBe(3);
+      expect(data.items.map(item => item.label)).toEqual(['Milk', 'Eggs']);
+      expect(data.tombstones).toEqual([]);
+
+      const history = await getHistory();
+      expect(history.versions.map(v => v.version)).toEqual([3, 2, 1]);
+      expect(history.versions[0].summary.restored_from).toBe(1);
+    });
+
+    it('should keep items removed by a restore from coming back through stale clients', async () => {
+      await put({ title: 'List', items: [milk], deletedItemIds: [] });
+      await put({ title: 'List', items: [milk, eggs], deletedItemIds: [] });
+      await worker.fetch(createRequest('POST', `/api/list/${token}/restore`, { version: 1 }), env);
+
+      const data = await put({ title: 'List', items: [milk, eggs], deletedItemIds: [] });
+
+      expect(data.items.map(item => item.id)).toEqual(['item-1']);
+    });
+
+    it('should return 404 for an unknown version and 400 for an invalid one', async () => {
+      const missing = await worker.fetch(createRequest('POST', `/api/list/${token}/restore`, { version: 42 }), env);
+      expect(missing.status).toBe(404);
+
+      const invalid = await worker.fetch(createRequest('POST', `/api/list/${token}/restore`, { version: 'latest' }), env);
+      expect(invalid.status).toBe(400);
+    });
+  });
+
   describe('DELETE /api/list/:token', () => {
     it('should delete existing list', async () => {
       const token = 'delete-test-token-123';
@@ -792,94 +1293,2206 @@ describe('Cloudflare Worker API', () => {
     });
   });
 
-  describe('HTTP Method Handling', () => {
-    it('should reject unsupported HTTP methods', async () => {
-      const request = new Request('https://example.com/api/list/token-12345678901234', {
-        method: 'PATCH',
-      });
+  describe('Trash (undelete / purge)', () => {
+    const token = 'trash-token-123456789';
+    const milk = { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 };
 
-      const response = await worker.fetch(request, env);
+    async function put(body) {
+      return worker.fetch(createRequest('PUT', `/api/list/${token}`, body), env);
+    }
 
-      expect(response.status).toBe(405);
+    it('should move the deleted list to the trash', async () => {
+      await put({ title: 'Weekly', items: [milk], deletedItemIds: [] });
+
+      const response = await worker.fetch(createRequest('DELETE', `/api/list/${token}`), env);
       const data = await response.json();
-      expect(data.error).toContain('Method not allowed');
-    });
-  });
 
-  describe('POST /api/generate - AI Shopping List Generation', () => {
-    let consoleErrorSpy;
+      expect(data.ok).toBe(true);
+      expect(data.trashed).toBe(true);
+      expect(data.expires_at).toBeGreaterThan(Date.now());
+      expect(await mockKV.get(`list:${token}`)).toBeNull();
 
-    beforeEach(() => {
-      // Mock OpenRouter API key
-      env.OPENROUTER_API_KEY = 'test-api-key';
-      env.MODEL = 'meta-llama/llama-3-70b-instruct';
-      consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      const trashed = JSON.parse(await mockKV.get(`trash:${token}`));
+      expect(trashed.doc.title).toBe('Weekly');
+      expect(trashed.doc.items[0].label).toBe('Milk');
     });
 
-    afterEach(() => {
-      if (consoleErrorSpy) {
-        consoleErrorSpy.mockRestore();
-      }
-    });
+    it('should set an expiry on the trash entry from TRASH_RETENTION_DAYS', async () => {
+      env.TRASH_RETENTION_DAYS = '7';
+      const putSpy = vi.spyOn(mockKV, 'put');
+      await put({ title: 'Weekly', items: [milk], deletedItemIds: [] });
 
-    it('should reject request without prompt', async () => {
-      const request = createRequest('POST', '/api/generate', {
-        token: 'test-token-123456',
-      });
-      const response = await worker.fetch(request, env);
+      await worker.fetch(createRequest('DELETE', `/api/list/${token}`), env);
 
-      expect(response.status).toBe(400);
-      const data = await response.json();
-      expect(data.error).toContain('prompt');
+      const trashCall = putSpy.mock.calls.find(([key]) => key === `trash:${token}`);
+      expect(trashCall[2]).toEqual({ expirationTtl: 7 * 24 * 60 * 60 });
     });
 
-    it('should reject request without token', async () => {
-      const request = createRequest('POST', '/api/generate', {
-        prompt: 'テスト用の買い物リスト',
-      });
-      const response = await worker.fetch(request, env);
+    it('should bring a trashed list back as a new version', async () => {
+      await put({ title: 'Weekly', items: [milk], deletedItemIds: [] });
+      await worker.fetch(createRequest('DELETE', `/api/list/${token}`), env);
 
-      expect(response.status).toBe(400);
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/undelete`), env);
+
+      expect(response.status).toBe(200);
       const data = await response.json();
-      expect(data.error).toContain('token');
+      expect(data.title).toBe('Weekly');
+      expect(data.items.map(item => item.label)).toEqual(['Milk']);
+      expect(data.version).toBe(2);
+      expect(await mockKV.get(`trash:${token}`)).toBeNull();
+
+      const getData = await (await worker.fetch(createRequest('GET', `/api/list/${token}`), env)).json();
+      expect(getData.items.map(item => item.label)).toEqual(['Milk']);
     });
 
-    it('should reject request with invalid token format', async () => {
-      const request = createRequest('POST', '/api/generate', {
-        prompt: 'テスト用の買い物リスト',
-        token: 'short',
-      });
-      const response = await worker.fetch(request, env);
+    it('should keep items added after the delete when undeleting', async () => {
+      await put({ title: 'Weekly', items: [milk], deletedItemIds: [] });
+      await worker.fetch(createRequest('DELETE', `/api/list/${token}`), env);
+      await put({ title: 'Shopping', items: [{ ...milk, id: 'item-2', label: 'Bread' }], deletedItemIds: [] });
 
-      expect(response.status).toBe(400);
-      const data = await response.json();
-      expect(data.error).toContain('Invalid token format');
+      const data = await (await worker.fetch(createRequest('POST', `/api/list/${token}/undelete`), env)).json();
+
+      expect(data.items.map(item => item.label)).toEqual(['Milk', 'Bread']);
+      expect(data.version).toBe(2);
     });
 
-    it('should reject request with empty prompt', async () => {
-      const request = createRequest('POST', '/api/generate', {
-        prompt: '   ',
-        token: 'test-token-123456',
-      });
-      const response = await worker.fetch(request, env);
+    it('should return 404 when there is nothing to undelete', async () => {
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/undelete`), env);
+      expect(response.status).toBe(404);
+    });
 
-      expect(response.status).toBe(400);
-      const data = await response.json();
-      expect(data.error).toContain('prompt');
+    it('should purge the list, its trash and its history', async () => {
+      await put({ title: 'Weekly', items: [milk], deletedItemIds: [] });
+      await put({ title: 'Weekly', items: [], deletedItemIds: ['item-1'] });
+      await worker.fetch(createRequest('DELETE', `/api/list/${token}`), env);
+
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/purge`), env);
+
+      expect(response.status).toBe(200);
+      const remaining = [...mockKV.data.keys()].filter(key => key.includes(token));
+      expect(remaining).toEqual([]);
     });
+  });
 
-    it('should handle missing API key gracefully', async () => {
-      delete env.OPENROUTER_API_KEY;
+  describe('Workspaces', () => {
+    const ws = 'workspace-token-12345';
 
-      const request = createRequest('POST', '/api/generate', {
-        prompt: 'テスト用の買い物リスト',
-        token: 'test-token-123456',
-      });
-      const response = await worker.fetch(request, env);
+    function workspaceRequest(method, path = '', body = null) {
+      return worker.fetch(createRequest(method, `/api/workspace/${ws}${path}`, body), env);
+    }
 
-      expect(response.status).toBe(500);
+    async function createList(name, extra = {}) {
+      const response = await workspaceRequest('POST', '/lists', { name, ...extra });
+      return response.json();
+    }
+
+    it('should return an empty workspace by default', async () => {
+      const response = await workspaceRequest('GET');
+
+      expect(response.status).toBe(200);
       const data = await response.json();
-      expect(data.error).toContain('AI service not configured');
+      expect(data.lists).toEqual([]);
+      expect(data.version).toBe(0);
+    });
+
+    it('should create lists with their own list tokens', async () => {
+      const response = await workspaceRequest('POST', '/lists', { name: 'Groceries' });
+
+      expect(response.status).toBe(201);
+      const { list, workspace } = await response.json();
+      expect(list.name).toBe('Groceries');
+      expect(list.token).toMatch(/^[a-zA-Z0-9_-]{16,}$/);
+      expect(list.archived).toBe(false);
+      expect(workspace.lists).toHaveLength(1);
+
+      // The list is served by the single-list route
+      const listData = await (await worker.fetch(createRequest('GET', `/api/list/${list.token}`), env)).json();
+      expect(listData.title).toBe('Groceries');
+    });
+
+    it('should add an existing list by token without touching its items', async () => {
+      const token = 'existing-list-token-12';
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Old list',
+        items: [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }],
+        deletedItemIds: [],
+      }), env);
+
+      const { list } = await createList('Groceries', { token });
+
+      expect(list.token).toBe(token);
+      const listData = await (await worker.fetch(createRequest('GET', `/api/list/${token}`), env)).json();
+      expect(listData.items).toHaveLength(1);
+
+      const duplicate = await workspaceRequest('POST', '/lists', { name: 'Again', token });
+      expect(duplicate.status).toBe(409);
+    });
+
+    it('should reject lists without a name', async () => {
+      const response = await workspaceRequest('POST', '/lists', { name: '   ' });
+      expect(response.status).toBe(400);
+    });
+
+    it('should refuse view-only tokens', async () => {
+      const token = 'existing-list-token-12';
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, { title: 'Old list', items: [], deletedItemIds: [] }), env);
+      const { view_token: viewToken } = await (await worker.fetch(createRequest('POST', `/api/list/${token}/view-token`), env)).json();
+
+      const response = await workspaceRequest('POST', '/lists', { name: 'Groceries', token: viewToken });
+
+      expect(response.status).toBe(400);
+      expect((await workspaceRequest('GET').then(res => res.json())).lists).toEqual([]);
+      expect(await mockKV.get(`list:${viewToken}`)).toBeNull();
+    });
+
+    it('should rename and archive a list', async () => {
+      const { list } = await createList('Chemist');
+
+      const response = await workspaceRequest('PATCH', `/lists/${list.id}`, { name: 'Pharmacy', archived: true });
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.list.name).toBe('Pharmacy');
+      expect(data.list.archived).toBe(true);
+
+      const listData = await (await worker.fetch(createRequest('GET', `/api/list/${list.token}`), env)).json();
+      expect(listData.title).toBe('Pharmacy');
+    });
+
+    it('should return 404 when updating an unknown list', async () => {
+      const response = await workspaceRequest('PATCH', '/lists/missing', { name: 'X' });
+      expect(response.status).toBe(404);
+    });
+
+    it('should reorder lists', async () => {
+      const { list: groceries } = await createList('Groceries');
+      const { list: chemist } = await createList('Chemist');
+      const { list: kmart } = await createList('Kmart');
+
+      const response = await workspaceRequest('POST', '/reorder', { ids: [kmart.id, groceries.id] });
+
+      const data = await response.json();
+      expect(data.lists.map(list => list.name)).toEqual(['Kmart', 'Groceries', 'Chemist']);
+      expect(data.lists.map(list => list.pos)).toEqual([0, 1, 2]);
+
+      const unknown = await workspaceRequest('POST', '/reorder', { ids: ['nope'] });
+      expect(unknown.status).toBe(400);
+    });
+
+    it('should remove a deleted list and move its document to the trash', async () => {
+      const { list } = await createList('Kmart');
+
+      const response = await workspaceRequest('DELETE', `/lists/${list.id}`);
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.workspace.lists).toEqual([]);
+      expect(await mockKV.get(`list:${list.token}`)).toBeNull();
+      expect(await mockKV.get(`trash:${list.token}`)).not.toBeNull();
+    });
+
+    it('should reject invalid workspace tokens', async () => {
+      const response = await worker.fetch(createRequest('GET', '/api/workspace/short'), env);
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('View-only Share Links', () => {
+    const token = 'shared-list-token-123';
+    const milk = { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 };
+
+    async function mintViewToken() {
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/view-token`), env);
+      return (await response.json()).view_token;
+    }
+
+    beforeEach(async () => {
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, { title: 'Shared', items: [milk], deletedItemIds: [] }), env);
+    });
+
+    it('should mint one view token per list', async () => {
+      const viewToken = await mintViewToken();
+
+      expect(viewToken).toMatch(/^ro_[a-zA-Z0-9_-]{16,}$/);
+      expect(await mintViewToken()).toBe(viewToken);
+    });
+
+    it('should read the same list through the view token', async () => {
+      const viewToken = await mintViewToken();
+
+      const response = await worker.fetch(createRequest('GET', `/api/list/${viewToken}`), env);
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.title).toBe('Shared');
+      expect(data.items[0].label).toBe('Milk');
+    });
+
+    it('should allow long polling through the view token', async () => {
+      const viewToken = await mintViewToken();
+
+      // Reaches the handler (no LIST_ROOM binding here) instead of the 403
+      const response = await worker.fetch(createRequest('GET', `/api/list/${viewToken}/wait?since=0`), env);
+      expect(response.status).toBe(501);
+    });
+
+    it('should serve purchase suggestions through the view token', async () => {
+      const viewToken = await mintViewToken();
+
+      const response = await worker.fetch(createRequest('GET', `/api/list/${viewToken}/suggestions`), env);
+
+      expect(response.status).toBe(200);
+      expect((await response.json()).suggestions).toEqual([]);
+    });
+
+    it('should reject writes through the view token', async () => {
+      const viewToken = await mintViewToken();
+      const writes = [
+        createRequest('PUT', `/api/list/${viewToken}`, { title: 'Hacked', items: [], deletedItemIds: ['item-1'] }),
+        createRequest('DELETE', `/api/list/${viewToken}`),
+        createRequest('POST', `/api/list/${viewToken}/ops`, { ops: [{ type: 'delete', id: 'item-1', ts: Date.now() }] }),
+        createRequest('POST', `/api/list/${viewToken}/restore`, { version: 1 }),
+        createRequest('POST', `/api/list/${viewToken}/view-token`),
+      ];
+
+      for (const request of writes) {
+        const response = await worker.fetch(request, env);
+        expect(response.status).toBe(403);
+      }
+
+      const data = await (await worker.fetch(createRequest('GET', `/api/list/${token}`), env)).json();
+      expect(data.title).toBe('Shared');
+      expect(data.items).toHaveLength(1);
+    });
+
+    it('should reject /api/generate for view tokens', async () => {
+      const viewToken = await mintViewToken();
+
+      const response = await worker.fetch(createRequest('POST', '/api/generate', { prompt: 'dinner', token: viewToken }), env);
+
+      expect(response.status).toBe(403);
+    });
+
+    it('should return 404 for an unknown view token', async () => {
+      const response = await worker.fetch(createRequest('GET', '/api/list/ro_unknownviewtoken1234'), env);
+      expect(response.status).toBe(404);
+    });
+
+    it('should reject edits from view-only socket sessions', async () => {
+      const room = createRoom(env);
+      room.token = token;
+      const socket = new MockSocket();
+      await room.addSession(socket, true);
+
+      await socket.receive({ type: 'ops', ops: [{ type: 'delete', id: 'item-1', ts: Date.now() }] });
+
+      expect(socket.lastMessage()).toEqual({ type: 'error', error: 'This share link is view-only' });
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items).toHaveLength(1);
+    });
+  });
+
+  describe('Token Rotation', () => {
+    const token = 'leaked-list-token-1234';
+    const milk = { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 };
+
+    async function rotate(body = null) {
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/rotate`, body), env);
+      return response.json();
+    }
+
+    beforeEach(async () => {
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, { title: 'Family', items: [milk], deletedItemIds: [] }), env);
+    });
+
+    it('should move the list and its history to a new token', async () => {
+      const data = await rotate();
+
+      expect(data.token).toMatch(/^[a-zA-Z0-9_-]{16,}$/);
+      expect(data.token).not.toBe(token);
+      expect(data.redirect).toBe(true);
+      expect(await mockKV.get(`list:${token}`)).toBeNull();
+
+      const moved = await (await worker.fetch(createRequest('GET', `/api/list/${data.token}`), env)).json();
+      expect(moved.title).toBe('Family');
+      expect(moved.items[0].label).toBe('Milk');
+
+      const history = await (await worker.fetch(createRequest('GET', `/api/list/${data.token}/history`), env)).json();
+      expect(history.versions.map(v => v.version)).toEqual([1]);
+      expect(await mockKV.get(`history:${token}:1`)).toBeNull();
+    });
+
+    it('should redirect the old token to the new one with a 308', async () => {
+      const { token: newToken } = await rotate();
+
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}/events`), env);
+
+      expect(response.status).toBe(308);
+      expect(response.headers.get('Location')).toBe(`https://example.com/api/list/${newToken}/events`);
+      expect((await response.json()).token).toBe(newToken);
+    });
+
+    it('should answer 410 for the old token once the redirect is revoked', async () => {
+      const { token: newToken } = await rotate();
+
+      const revoke = await worker.fetch(createRequest('POST', `/api/list/${newToken}/revoke`), env);
+      expect((await revoke.json()).revoked_redirects).toBe(1);
+
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, { title: 'X', items: [], deletedItemIds: [] }), env);
+      expect(response.status).toBe(410);
+    });
+
+    it('should revoke the redirect immediately when keep_redirect is false', async () => {
+      await rotate({ keep_redirect: false });
+
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}`), env);
+      expect(response.status).toBe(410);
+    });
+
+    it('should keep older redirects pointing at the newest token', async () => {
+      const { token: second } = await rotate();
+      const third = (await (await worker.fetch(createRequest('POST', `/api/list/${second}/rotate`), env)).json()).token;
+
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}`), env);
+      expect((await response.json()).token).toBe(third);
+    });
+
+    it('should carry view tokens over unless asked to revoke them', async () => {
+      const viewToken = (await (await worker.fetch(createRequest('POST', `/api/list/${token}/view-token`), env)).json()).view_token;
+
+      const { token: newToken, view_token: carried } = await rotate();
+      expect(carried).toBe(viewToken);
+      const viewData = await (await worker.fetch(createRequest('GET', `/api/list/${viewToken}`), env)).json();
+      expect(viewData.title).toBe('Family');
+
+      await worker.fetch(createRequest('POST', `/api/list/${newToken}/revoke`, { redirects: false, view_tokens: true }), env);
+      const revoked = await worker.fetch(createRequest('GET', `/api/list/${viewToken}`), env);
+      expect(revoked.status).toBe(404);
+    });
+
+    it('should update the list entry in its workspace', async () => {
+      const ws = 'rotation-workspace-123';
+      await worker.fetch(createRequest('POST', `/api/workspace/${ws}/lists`, { name: 'Family', token }), env);
+
+      const { token: newToken } = await rotate({ workspace: ws });
+
+      const workspace = await (await worker.fetch(createRequest('GET', `/api/workspace/${ws}`), env)).json();
+      expect(workspace.lists[0].token).toBe(newToken);
+    });
+
+    it('should close live sessions on the old token', async () => {
+      const room = createRoom(env);
+      room.token = token;
+      const socket = new MockSocket();
+      await room.addSession(socket);
+
+      await room.fetch(new Request('https://list-room/moved', {
+        method: 'POST',
+        headers: { 'X-List-Token': token },
+      }));
+
+      expect(socket.lastMessage()).toEqual({ type: 'moved' });
+      expect(socket.closed.code).toBe(4000);
+      expect(room.sessions.size).toBe(0);
+      expect(await room.state.storage.get('doc')).toBeUndefined();
+    });
+
+    it('should move the passphrase and answer with a session for the new token', async () => {
+      const locked = await worker.fetch(createRequest('POST', `/api/list/${token}/lock`, { passphrase: 'correct horse' }), env);
+      const { session } = await locked.json();
+
+      const response = await worker.fetch(new Request(`https://example.com/api/list/${token}/rotate`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session}` },
+      }), env);
+
+      const data = await response.json();
+      expect(data.session).toBeTruthy();
+      expect(response.headers.get('Set-Cookie')).toContain(`Path=/api/list/${data.token};`);
+      expect(await mockKV.get(`lock:${token}`)).toBeNull();
+
+      expect((await worker.fetch(createRequest('GET', `/api/list/${data.token}`), env)).status).toBe(401);
+      const withSession = await worker.fetch(new Request(`https://example.com/api/list/${data.token}`, {
+        headers: { Authorization: `Bearer ${data.session}` },
+      }), env);
+      expect(withSession.status).toBe(200);
+    });
+
+    it('should move a trashed copy with the list', async () => {
+      await worker.fetch(createRequest('DELETE', `/api/list/${token}`), env);
+
+      const data = await rotate();
+
+      expect(await mockKV.get(`trash:${token}`)).toBeNull();
+      const response = await worker.fetch(createRequest('POST', `/api/list/${data.token}/undelete`), env);
+      expect(response.status).toBe(200);
+      expect((await response.json()).items[0].label).toBe('Milk');
+    });
+  });
+
+  describe('Passphrase Lock', () => {
+    const token = 'locked-list-token-1234';
+    const milk = { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 };
+
+    function requestWithSession(method, path, session, body = null) {
+      return new Request(`https://example.com${path}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session}` },
+        body: body ? JSON.stringify(body) : null,
+      });
+    }
+
+    async function lockList(passphrase = 'correct horse') {
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/lock`, { passphrase }), env);
+      return response.json();
+    }
+
+    beforeEach(async () => {
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, { title: 'Family', items: [milk], deletedItemIds: [] }), env);
+    });
+
+    it('should store only a PBKDF2 hash of the passphrase', async () => {
+      const data = await lockList();
+
+      expect(data.locked).toBe(true);
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.meta.lock.algorithm).toBe('PBKDF2-SHA256');
+      expect(stored.meta.lock.iterations).toBe(100000);
+      expect(stored.meta.lock.salt).toBeTruthy();
+      expect(JSON.stringify(stored)).not.toContain('correct horse');
+    });
+
+    it('should require a session once locked', async () => {
+      await lockList();
+
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}`), env);
+
+      expect(response.status).toBe(401);
+      expect(await response.json()).toEqual({ error: 'Passphrase required', locked: true });
+
+      const put = await worker.fetch(createRequest('PUT', `/api/list/${token}`, { title: 'X', items: [], deletedItemIds: [] }), env);
+      expect(put.status).toBe(401);
+    });
+
+    it('should issue a session for the right passphrase', async () => {
+      await lockList();
+
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/unlock`, { passphrase: 'correct horse' }), env);
+
+      expect(response.status).toBe(200);
+      const { session, expires_at } = await response.json();
+      expect(session).toBeTruthy();
+      expect(expires_at).toBeGreaterThan(Date.now());
+      expect(response.headers.get('Set-Cookie')).toContain(`list_session=${session}; Path=/api/list/${token}`);
+
+      const getResponse = await worker.fetch(requestWithSession('GET', `/api/list/${token}`, session), env);
+      expect(getResponse.status).toBe(200);
+      const data = await getResponse.json();
+      expect(data.items[0].label).toBe('Milk');
+      expect(data.locked).toBe(true);
+      expect(data.meta).toBeUndefined();
+    });
+
+    it('should accept the session cookie and the session query parameter', async () => {
+      const { session } = await lockList();
+
+      const withCookie = new Request(`https://example.com/api/list/${token}`, { headers: { Cookie: `list_session=${session}` } });
+      expect((await worker.fetch(withCookie, env)).status).toBe(200);
+
+      const withQuery = createRequest('GET', `/api/list/${token}/history?session=${session}`);
+      expect((await worker.fetch(withQuery, env)).status).toBe(200);
+    });
+
+    it('should reject a wrong passphrase', async () => {
+      await lockList();
+
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/unlock`, { passphrase: 'wrong' }), env);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should not accept a session issued for another list', async () => {
+      await lockList();
+      const other = 'other-locked-token-123';
+      await worker.fetch(createRequest('PUT', `/api/list/${other}`, { title: 'Other', items: [], deletedItemIds: [] }), env);
+      const { session } = await (await worker.fetch(createRequest('POST', `/api/list/${other}/lock`, { passphrase: 'other pass' }), env)).json();
+
+      const response = await worker.fetch(requestWithSession('GET', `/api/list/${token}`, session), env);
+
+      expect(response.status).toBe(401);
+    });
+
+    it('should keep the lock through item edits', async () => {
+      const { session } = await lockList();
+
+      await worker.fetch(requestWithSession('PUT', `/api/list/${token}`, session, { title: 'Family', items: [], deletedItemIds: ['item-1'] }), env);
+      await worker.fetch(requestWithSession('POST', `/api/list/${token}/ops`, session, {
+        ops: [{ type: 'add', id: 'item-2', ts: Date.now(), label: 'Bread' }],
+      }), env);
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.meta.lock).toBeTruthy();
+    });
+
+    it('should remove the lock with a valid session', async () => {
+      const { session } = await lockList();
+
+      const response = await worker.fetch(requestWithSession('DELETE', `/api/list/${token}/lock`, session), env);
+
+      expect((await response.json()).locked).toBe(false);
+      const getResponse = await worker.fetch(createRequest('GET', `/api/list/${token}`), env);
+      expect(getResponse.status).toBe(200);
+      expect((await getResponse.json()).locked).toBeUndefined();
+    });
+
+    it('should end older sessions when the passphrase changes', async () => {
+      const { session: owner } = await lockList();
+      const unlocked = await worker.fetch(createRequest('POST', `/api/list/${token}/unlock`, { passphrase: 'correct horse' }), env);
+      const { session: other } = await unlocked.json();
+
+      vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 1000);
+      const changed = await worker.fetch(requestWithSession('POST', `/api/list/${token}/lock`, owner, { passphrase: 'battery staple' }), env);
+      const { session: fresh } = await changed.json();
+      vi.restoreAllMocks();
+
+      expect((await worker.fetch(requestWithSession('GET', `/api/list/${token}`, other), env)).status).toBe(401);
+      expect((await worker.fetch(requestWithSession('GET', `/api/list/${token}`, owner), env)).status).toBe(401);
+      expect((await worker.fetch(requestWithSession('GET', `/api/list/${token}`, fresh), env)).status).toBe(200);
+    });
+
+    it('should reject short passphrases', async () => {
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/lock`, { passphrase: '12' }), env);
+      expect(response.status).toBe(400);
+    });
+
+    it('should keep guarding the list while it is in the trash', async () => {
+      const { session } = await lockList();
+      await worker.fetch(requestWithSession('DELETE', `/api/list/${token}`, session), env);
+
+      for (const [method, action, body] of [['GET', 'history'], ['POST', 'restore', { version: 1 }], ['POST', 'undelete'], ['POST', 'purge']]) {
+        const response = await worker.fetch(createRequest(method, `/api/list/${token}/${action}`, body), env);
+        expect(response.status).toBe(401);
+      }
+      expect(await mockKV.get(`trash:${token}`)).toBeTruthy();
+
+      const restored = await worker.fetch(requestWithSession('POST', `/api/list/${token}/restore`, session, { version: 1 }), env);
+      expect(restored.status).toBe(200);
+      expect((await restored.json()).locked).toBe(true);
+      expect((await worker.fetch(createRequest('GET', `/api/list/${token}`), env)).status).toBe(401);
+    });
+
+    it('should move the lock of lists locked before it had its own key', async () => {
+      await lockList();
+      await mockKV.delete(`lock:${token}`);
+      const stored = await mockKV.get(`list:${token}`);
+      await mockKV.put(`trash:${token}`, JSON.stringify({ doc: JSON.parse(stored), deleted_at: Date.now() }));
+      await mockKV.delete(`list:${token}`);
+
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/undelete`), env);
+
+      expect(response.status).toBe(401);
+      expect(JSON.parse(await mockKV.get(`lock:${token}`)).algorithm).toBe('PBKDF2-SHA256');
+    });
+
+    it('should forget the passphrase when the list is purged', async () => {
+      const { session } = await lockList();
+
+      await worker.fetch(requestWithSession('POST', `/api/list/${token}/purge`, session), env);
+
+      expect(await mockKV.get(`lock:${token}`)).toBeNull();
+      expect((await worker.fetch(createRequest('GET', `/api/list/${token}`), env)).status).toBe(200);
+    });
+
+    it('should need a session to rename, trash or add a locked list through a workspace', async () => {
+      const ws = 'workspace-token-locked';
+      const { list } = await (await worker.fetch(createRequest('POST', `/api/workspace/${ws}/lists`, { name: 'Family', token }), env)).json();
+      const { session } = await lockList();
+
+      const rename = await worker.fetch(createRequest('PATCH', `/api/workspace/${ws}/lists/${list.id}`, { name: 'Mine' }), env);
+      const trash = await worker.fetch(createRequest('DELETE', `/api/workspace/${ws}/lists/${list.id}`), env);
+      const add = await worker.fetch(createRequest('POST', `/api/workspace/other-workspace-1234/lists`, { name: 'Theirs', token }), env);
+
+      expect([rename.status, trash.status, add.status]).toEqual([401, 401, 401]);
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).title).toBe('Family');
+
+      const renamed = await worker.fetch(requestWithSession('PATCH', `/api/workspace/${ws}/lists/${list.id}`, session, { name: 'Mine' }), env);
+      expect(renamed.status).toBe(200);
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).title).toBe('Mine');
+    });
+
+    it('should give a view-only session without the edit token to view links', async () => {
+      const { session: owner } = await lockList();
+      const mint = await worker.fetch(requestWithSession('POST', `/api/list/${token}/view-token`, owner), env);
+      const { view_token: viewToken } = await mint.json();
+
+      const response = await worker.fetch(createRequest('POST', `/api/list/${viewToken}/unlock`, { passphrase: 'correct horse' }), env);
+
+      expect(response.status).toBe(200);
+      const { session } = await response.json();
+      const cookie = response.headers.get('Set-Cookie');
+      expect(cookie).toContain(`Path=/api/list/${viewToken};`);
+      expect(cookie).not.toContain(token);
+
+      expect((await worker.fetch(requestWithSession('GET', `/api/list/${viewToken}`, session), env)).status).toBe(200);
+      expect((await worker.fetch(requestWithSession('GET', `/api/list/${token}`, session), env)).status).toBe(401);
+      const put = await worker.fetch(requestWithSession('PUT', `/api/list/${token}`, session, { title: 'X', items: [], deletedItemIds: [] }), env);
+      expect(put.status).toBe(401);
+    });
+
+    it('should rate limit passphrase guesses per list and per IP', async () => {
+      await lockList();
+      env.RATE_LIMITS = JSON.stringify({ '/api/list/:token/unlock': { perToken: 2, perIp: 3 } });
+      const guess = (listToken = token) => worker.fetch(createRequest('POST', `/api/list/${listToken}/unlock`, { passphrase: 'guess' }), env);
+
+      expect((await guess()).status).toBe(401);
+      expect((await guess()).status).toBe(401);
+      const limited = await guess();
+      expect(limited.status).toBe(429);
+      expect(Number(limited.headers.get('Retry-After'))).toBeGreaterThan(0);
+
+      // Another list still has its own budget until the shared per-IP one runs out
+      expect((await guess('another-locked-token-1')).status).toBe(400);
+      expect((await guess('another-locked-token-1')).status).toBe(429);
+    });
+  });
+
+  describe('Rate Limiting', () => {
+    const token = 'rate-limit-token-12345';
+
+    function generateRequest(listToken = token, ip = '203.0.113.1') {
+      return new Request('https://example.com/api/generate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': ip },
+        // Empty prompt: the handler rejects it without calling the AI, but it still counts
+        body: JSON.stringify({ prompt: '', token: listToken }),
+      });
+    }
+
+    beforeEach(() => {
+      env.RATE_LIMITS = JSON.stringify({ '/api/generate': { perToken: 2, perIp: 3 } });
+    });
+
+    it('should answer 429 with Retry-After once a token is over budget', async () => {
+      expect((await worker.fetch(generateRequest(), env)).status).toBe(400);
+      expect((await worker.fetch(generateRequest(), env)).status).toBe(400);
+
+      const response = await worker.fetch(generateRequest(), env);
+
+      expect(response.status).toBe(429);
+      const retryAfter = Number(response.headers.get('Retry-After'));
+      expect(retryAfter).toBeGreaterThan(0);
+      expect(retryAfter).toBeLessThanOrEqual(3600);
+      expect((await response.json()).retry_after).toBe(retryAfter);
+    });
+
+    it('should count tokens separately but share the per-IP budget', async () => {
+      await worker.fetch(generateRequest(token), env);
+      await worker.fetch(generateRequest(token), env);
+
+      const otherToken = await worker.fetch(generateRequest('another-token-1234567'), env);
+      expect(otherToken.status).toBe(400);
+
+      const ipExhausted = await worker.fetch(generateRequest('third-token-123456789'), env);
+      expect(ipExhausted.status).toBe(429);
+
+      const otherIp = await worker.fetch(generateRequest('third-token-123456789', '198.51.100.7'), env);
+      expect(otherIp.status).toBe(400);
+    });
+
+    it('should read the list token from X-List-Token on other AI routes', async () => {
+      env.RATE_LIMITS = JSON.stringify({ '/api/filter-specials': { perToken: 1 } });
+      const request = () => new Request('https://example.com/api/filter-specials', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-List-Token': token },
+        body: JSON.stringify({ items: [], specials: [] }),
+      });
+
+      expect((await worker.fetch(request(), env)).status).toBe(400);
+      expect((await worker.fetch(request(), env)).status).toBe(429);
+    });
+
+    it('should not limit list routes', async () => {
+      env.RATE_LIMITS = JSON.stringify({ '/api/generate': { perToken: 1, perIp: 1 } });
+
+      for (let i = 0; i < 3; i++) {
+        const response = await worker.fetch(createRequest('GET', `/api/list/${token}`), env);
+        expect(response.status).toBe(200);
+      }
+    });
+  });
+
+  describe('Document Limits', () => {
+    const token = 'limits-token-123456789';
+
+    function item(id, overrides = {}) {
+      return { id, label: id, checked: false, tags: [], updated_at: Date.now(), ...overrides };
+    }
+
+    it('should reject a label over the limit with the item index and field', async () => {
+      env.MAX_LABEL_LENGTH = '10';
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping',
+        items: [item('ok'), item('long', { label: 'x'.repeat(11) })],
+      }), env);
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({
+        error: 'Label too long',
+        index: 1,
+        field: 'label',
+        limit: 10,
+      });
+      expect(mockKV.data.has(`list:${token}`)).toBe(false);
+    });
+
+    it('should reject too many or too long tags', async () => {
+      env.MAX_TAGS_PER_ITEM = '2';
+      env.MAX_TAG_LENGTH = '5';
+
+      const tooMany = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping',
+        items: [item('a', { tags: ['a', 'b', 'c'] })],
+      }), env);
+      expect(tooMany.status).toBe(400);
+      expect(await tooMany.json()).toMatchObject({ index: 0, field: 'tags', limit: 2 });
+
+      const tooLong = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping',
+        items: [item('a', { tags: ['toolong'] })],
+      }), env);
+      expect(tooLong.status).toBe(400);
+      expect(await tooLong.json()).toMatchObject({ error: 'Tag too long', index: 0, field: 'tags', limit: 5 });
+    });
+
+    it('should answer 413 when the list would exceed the item limit', async () => {
+      env.MAX_ITEMS = '2';
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping',
+        items: [item('a'), item('b')],
+      }), env);
+
+      // The payload alone is within the limit, but the stored items are kept
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping',
+        items: [item('c')],
+      }), env);
+
+      expect(response.status).toBe(413);
+      expect(await response.json()).toEqual({ error: 'Too many items', field: 'items', limit: 2 });
+    });
+
+    it('should answer 413 for a body over MAX_BODY_BYTES', async () => {
+      env.MAX_BODY_BYTES = '1024';
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping',
+        items: [item('a', { note: 'x'.repeat(2000) })],
+      }), env);
+
+      expect(response.status).toBe(413);
+      expect(await response.json()).toEqual({ error: 'Request body too large', limit: 1024 });
+    });
+
+    it('should apply the body limit to restore and the workspace endpoints', async () => {
+      env.MAX_BODY_BYTES = '1024';
+      const padding = 'x'.repeat(2000);
+      const requests = [
+        createRequest('POST', `/api/list/${token}/restore`, { version: 1, padding }),
+        createRequest('POST', '/api/workspace/limits-workspace-1234/lists', { name: 'List', padding }),
+        createRequest('PATCH', '/api/workspace/limits-workspace-1234/lists/list-1', { name: 'List', padding }),
+        createRequest('POST', '/api/workspace/limits-workspace-1234/reorder', { ids: [], padding }),
+        createRequest('PUT', '/api/workspace/limits-workspace-1234/layouts', { layouts: [], padding }),
+      ];
+
+      for (const request of requests) {
+        const response = await worker.fetch(request, env);
+        expect(response.status).toBe(413);
+        expect(await response.json()).toEqual({ error: 'Request body too large', limit: 1024 });
+      }
+    });
+
+    it('should apply the same limits to ops', async () => {
+      env.MAX_LABEL_LENGTH = '10';
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'add', id: 'a', label: 'Milk', ts: Date.now() },
+          { type: 'update-label', id: 'a', label: 'x'.repeat(11), ts: Date.now() },
+        ],
+      }), env);
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toMatchObject({ index: 1, field: 'label', limit: 10 });
+      expect(mockKV.data.has(`list:${token}`)).toBe(false);
+    });
+
+    it('should report structural errors with the offending field', async () => {
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping',
+        items: [item('a'), { id: 'b', label: 'Eggs' }],
+      }), env);
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toMatchObject({ error: 'Item missing checked state', index: 1, field: 'checked' });
+    });
+  });
+
+  describe('Quantity and Unit', () => {
+    const token = 'quantity-token-1234567';
+
+    it('should store quantity and unit and normalize the unit', async () => {
+      const response = await putItems(env, token, [
+        { id: 'milk', label: '牛乳', checked: false, quantity: 2, unit: 'l', updated_at: 1000 },
+        { id: 'bread', label: 'パン', checked: false, updated_at: 1000 },
+      ]);
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.items[0]).toMatchObject({ quantity: 2, unit: 'L' });
+      expect(data.items[1]).not.toHaveProperty('quantity');
+      expect(data.items[1]).not.toHaveProperty('unit');
+    });
+
+    it('should reject an invalid quantity or unit with the item index', async () => {
+      const badQuantity = await putItems(env, token, [
+        { id: 'a', label: 'A', checked: false },
+        { id: 'b', label: 'B', checked: false, quantity: -1 },
+      ]);
+      expect(badQuantity.status).toBe(400);
+      expect(await badQuantity.json()).toMatchObject({ error: 'Invalid quantity', index: 1, field: 'quantity' });
+
+      const badUnit = await putItems(env, token, [{ id: 'a', label: 'A', checked: false, quantity: 1, unit: 'bucket' }]);
+      expect(badUnit.status).toBe(400);
+      expect(await badUnit.json()).toMatchObject({ error: 'Invalid unit', index: 0, field: 'unit' });
+    });
+
+    it('should keep the quantity when a client without the field saves', async () => {
+      await putItems(env, token, [{ id: 'milk', label: '牛乳', checked: false, quantity: 2, unit: 'L', updated_at: 1000 }]);
+
+      // Older client: newer edit, but it does not know about quantity
+      const response = await putItems(env, token, [{ id: 'milk', label: '牛乳', checked: true, updated_at: 2000 }]);
+
+      const data = await response.json();
+      expect(data.items[0]).toMatchObject({ checked: true, quantity: 2, unit: 'L' });
+    });
+
+    it('should add and change quantities through ops', async () => {
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'add', id: 'eggs', label: '卵', quantity: 2, unit: 'each', ts: 1000 }],
+      }), env);
+
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'set-quantity', id: 'eggs', quantity: 12, ts: 2000 },
+          { type: 'set-quantity', id: 'eggs', quantity: 6, unit: 'pack', ts: 1500 },
+        ],
+      }), env);
+
+      expect((await response.json()).skipped).toEqual([1]);
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items[0]).toMatchObject({ quantity: 12, unit: null });
+
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'set-quantity', id: 'eggs', quantity: null, ts: 3000 }],
+      }), env);
+      const cleared = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(cleared.items[0]).not.toHaveProperty('quantity');
+    });
+
+    it('should reject set-quantity ops without a valid quantity', async () => {
+      const response = await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'set-quantity', id: 'eggs', quantity: 'many', ts: 1000 }],
+      }), env);
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toMatchObject({ index: 0, field: 'quantity' });
+    });
+  });
+
+  describe('Item Notes', () => {
+    const token = 'notes-token-1234567890';
+
+    it('should store a trimmed note and omit empty ones', async () => {
+      const response = await putItems(env, token, [
+        { id: 'milk', label: '牛乳', checked: false, note: ' lactose-free one ' },
+        { id: 'bread', label: 'パン', checked: false, note: '' },
+      ]);
+
+      const data = await response.json();
+      expect(data.items[0].note).toBe('lactose-free one');
+      expect(data.items[1]).not.toHaveProperty('note');
+    });
+
+    it('should reject notes over MAX_NOTE_LENGTH', async () => {
+      env.MAX_NOTE_LENGTH = '10';
+      const response = await putItems(env, token, [{ id: 'milk', label: '牛乳', checked: false, note: 'only if under $5' }]);
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toEqual({ error: 'Note too long', index: 0, field: 'note', limit: 10 });
+    });
+
+    it('should merge the note separately from the label', async () => {
+      await putItems(env, token, [{ id: 'milk', label: '牛乳', checked: false, updated_at: 1000 }]);
+
+      // Device A renames, device B (stale label) adds a note
+      await putItems(env, token, [{
+        id: 'milk', label: '牛乳 2L', checked: false, updated_at: 2000,
+        field_updated_at: { label: 2000 },
+      }]);
+      const response = await putItems(env, token, [{
+        id: 'milk', label: '牛乳', checked: false, note: 'lactose-free', updated_at: 3000,
+        field_updated_at: { label: 1000, checked: 1000, tags: 1000, pos: 1000, note: 3000 },
+      }]);
+
+      const data = await response.json();
+      expect(data.items[0]).toMatchObject({ label: '牛乳 2L', note: 'lactose-free' });
+    });
+
+    it('should set and clear notes through ops', async () => {
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'add', id: 'eggs', label: '卵', note: 'free range', ts: 1000 },
+          { type: 'update-note', id: 'eggs', note: 'only if under $5', ts: 2000 },
+        ],
+      }), env);
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).items[0].note).toBe('only if under $5');
+
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'update-note', id: 'eggs', note: null, ts: 3000 }],
+      }), env);
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).items[0]).not.toHaveProperty('note');
+
+      const invalid = await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'update-note', id: 'eggs', note: 42, ts: 4000 }],
+      }), env);
+      expect(invalid.status).toBe(400);
+      expect(await invalid.json()).toMatchObject({ index: 0, field: 'note' });
+    });
+  });
+
+  describe('Linked Catalog Products', () => {
+    const token = 'product-token-1234567890';
+    const product = {
+      store: 'Woolies', productId: 9300633, name: 'Full Cream Milk 2L', price: 3.1,
+      wasPrice: 3.6, size: '2L', url: 'https://example.com/milk', brand: 'Dairy Farmers',
+    };
+
+    it('should keep a validated product with its price through saves', async () => {
+      await putItems(env, token, [{ id: 'milk', label: '牛乳', checked: false, product, updated_at: 1000 }]);
+
+      // A later save that leaves product out (older client) keeps it
+      const response = await putItems(env, token, [{ id: 'milk', label: '牛乳 2L', checked: false, updated_at: 2000 }]);
+
+      const data = await response.json();
+      expect(data.items[0].label).toBe('牛乳 2L');
+      expect(data.items[0].product).toEqual({
+        store: 'Woolies', productId: '9300633', name: 'Full Cream Milk 2L', price: 3.1,
+        wasPrice: 3.6, onSpecial: true, size: '2L', url: 'https://example.com/milk', priced_at: 1000,
+      });
+    });
+
+    it('should reject malformed products with field details', async () => {
+      const invalid = [
+        { name: 'Milk', price: -1 },
+        { name: 'Milk', url: 'javascript:alert(1)' },
+        { price: 3 },
+        'Milk',
+      ];
+
+      for (const bad of invalid) {
+        const response = await putItems(env, token, [{ id: 'milk', label: '牛乳', checked: false, product: bad }]);
+        expect(response.status).toBe(400);
+        expect(await response.json()).toMatchObject({ index: 0, field: 'product' });
+      }
+    });
+
+    it('should set and clear products through ops', async () => {
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'add', id: 'eggs', label: '卵', ts: 1000 },
+          { type: 'set-product', id: 'eggs', product: { name: 'Free Range Eggs 12pk', price: 6.5 }, ts: 2000 },
+        ],
+      }), env);
+      const stored = JSON.parse(await mockKV.get(`list:${token}`)).items[0];
+      expect(stored.product).toEqual({ name: 'Free Range Eggs 12pk', price: 6.5, onSpecial: false, priced_at: 2000 });
+      expect(stored.field_updated_at.product).toBe(2000);
+
+      // An older price match loses to the newer one
+      const stale = await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'set-product', id: 'eggs', product: { name: 'Eggs 6pk', price: 4 }, ts: 1500 }],
+      }), env);
+      expect((await stale.json()).skipped).toEqual([0]);
+
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'set-product', id: 'eggs', product: null, ts: 3000 }],
+      }), env);
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).items[0]).not.toHaveProperty('product');
+    });
+  });
+
+  describe('Aisle Categories', () => {
+    const token = 'category-token-1234567890';
+
+    it('should guess the category of added items from the label', async () => {
+      await postOps(env, token, [
+        { type: 'add', id: 'milk', label: '牛乳 1L', ts: 1000 },
+        { type: 'add', id: 'shampoo', label: 'Shampoo', ts: 1000 },
+        { type: 'add', id: 'eggs', label: 'Free range eggs', ts: 1000 },
+        { type: 'add', id: 'gift', label: '誕生日カード', ts: 1000 },
+        { type: 'add', id: 'salmon', label: '塩鮭', category: null, ts: 1000 },
+      ]);
+
+      const items = JSON.parse(await mockKV.get(`list:${token}`)).items;
+      expect(items.map(item => item.category)).toEqual(['dairy', 'personal-care', 'dairy', undefined, undefined]);
+      expect(items[0].field_updated_at.category).toBe(1000);
+    });
+
+    it('should only match whole English words', async () => {
+      await postOps(env, token, ['Eggplant', 'Watermelon', 'Hamburger buns', 'Tomatoes'].map((label, index) => ({
+        type: 'add', id: `item-${index}`, label, ts: 1000,
+      })));
+
+      const items = JSON.parse(await mockKV.get(`list:${token}`)).items;
+      expect(items.map(item => item.category)).toEqual([undefined, undefined, undefined, 'produce']);
+    });
+
+    it('should keep the catalog fallback matcher to its own keywords', () => {
+      const catalog = [
+        { name: 'Australian Beef Mince', price: 8, onSpecial: false },
+        { name: 'Lamb Cutlets', price: 15, onSpecial: true },
+        { name: 'Extra Virgin Olive Oil', price: 9, onSpecial: true },
+      ];
+
+      expect(simpleKeywordMatch('牛肉', catalog).map(item => item.name)).toEqual(['Australian Beef Mince']);
+      expect(simpleKeywordMatch('醤油', catalog)).toEqual([]);
+    });
+
+    it('should set, clear and validate categories through ops', async () => {
+      await postOps(env, token, [
+        { type: 'add', id: 'tofu', label: '豆腐', category: 'dairy', ts: 1000 },
+        { type: 'set-category', id: 'tofu', category: 'produce', ts: 2000 },
+      ]);
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).items[0].category).toBe('produce');
+
+      await postOps(env, token, [{ type: 'set-category', id: 'tofu', category: null, ts: 3000 }]);
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).items[0]).not.toHaveProperty('category');
+
+      const invalid = await postOps(env, token, [{ type: 'set-category', id: 'tofu', category: 'aisle 7', ts: 4000 }]);
+      expect(invalid.status).toBe(400);
+      expect(await invalid.json()).toMatchObject({ index: 0, field: 'category' });
+    });
+
+    it('should keep a category through saves from clients that do not send it', async () => {
+      await postOps(env, token, [{ type: 'add', id: 'bread', label: 'Sourdough bread', ts: 1000 }]);
+
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping',
+        items: [{ id: 'bread', label: 'Sourdough loaf', checked: true, updated_at: 2000 }],
+      }), env);
+
+      const data = await response.json();
+      expect(data.items[0]).toMatchObject({ label: 'Sourdough loaf', checked: true, category: 'bakery' });
+    });
+  });
+
+  describe('Store Layouts', () => {
+    const token = 'layout-token-1234567890';
+    const layout = { name: 'Local Coles', store: 'Coles', aisles: ['dairy', 'produce', 'dairy', 'bakery'] };
+
+    it('should save list layouts and keep them through item edits', async () => {
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}/layouts`, { layouts: [layout] }), env);
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.layouts).toEqual([{
+        id: expect.any(String), name: 'Local Coles', store: 'Coles', aisles: ['dairy', 'produce', 'bakery'],
+      }]);
+
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'add', id: 'milk', label: '牛乳', ts: 1000 }],
+      }), env);
+      await worker.fetch(createRequest('PUT', `/api/list/${token}`, {
+        title: 'Shopping', items: [{ id: 'milk', label: '牛乳', checked: true, updated_at: 2000 }],
+      }), env);
+
+      const doc = await (await worker.fetch(createRequest('GET', `/api/list/${token}`), env)).json();
+      expect(doc.layouts).toEqual(data.layouts);
+      expect(doc.version).toBe(3);
+    });
+
+    it('should reject invalid layouts with details', async () => {
+      const response = await worker.fetch(createRequest('PUT', `/api/list/${token}/layouts`, {
+        layouts: [layout, { name: 'Asian grocer', aisles: ['produce', 'aisle 7'] }],
+      }), env);
+
+      expect(response.status).toBe(400);
+      expect(await response.json()).toMatchObject({ error: 'Invalid layout aisles', index: 1, field: 'aisles' });
+      expect(await mockKV.get(`list:${token}`)).toBeNull();
+    });
+
+    it('should apply the body limit and If-Match like other list writes', async () => {
+      env.MAX_BODY_BYTES = '512';
+      const tooLarge = await worker.fetch(createRequest('PUT', `/api/list/${token}/layouts`, {
+        layouts: [{ ...layout, name: 'x'.repeat(1000) }],
+      }), env);
+      expect(tooLarge.status).toBe(413);
+
+      await mockKV.put(`list:${token}`, JSON.stringify({ title: 'List', items: [], version: 4 }));
+      const stale = await worker.fetch(new Request(`https://example.com/api/list/${token}/layouts`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', 'If-Match': '"3"' },
+        body: JSON.stringify({ layouts: [layout] }),
+      }), env);
+
+      expect(stale.status).toBe(409);
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).version).toBe(4);
+    });
+
+    it('should share layouts across a workspace', async () => {
+      const workspaceToken = 'layout-workspace-12345';
+      const response = await worker.fetch(createRequest('PUT', `/api/workspace/${workspaceToken}/layouts`, {
+        layouts: [{ id: 'woolies', name: 'Woolies', aisles: ['produce'] }],
+      }), env);
+
+      expect(response.status).toBe(200);
+      const workspace = await (await worker.fetch(createRequest('GET', `/api/workspace/${workspaceToken}`), env)).json();
+      expect(workspace.layouts).toEqual([{ id: 'woolies', name: 'Woolies', store: null, aisles: ['produce'] }]);
+    });
+  });
+
+  describe('POST /api/list/:token/reorder', () => {
+    const token = 'reorder-token-1234567890';
+
+    beforeEach(async () => {
+      await mockKV.put(`list:${token}`, JSON.stringify({
+        title: 'List',
+        items: ['a', 'b', 'c', 'd'].map((id, pos) => ({
+          id, label: id.toUpperCase(), checked: false, tags: [], pos, updated_at: 1000,
+        })),
+        version: 1,
+        updated_at: 1000,
+      }));
+    });
+
+    async function reorder(body) {
+      return worker.fetch(createRequest('POST', `/api/list/${token}/reorder`, body), env);
+    }
+
+    async function storedOrder() {
+      const doc = JSON.parse(await mockKV.get(`list:${token}`));
+      return doc.items.map(item => item.id).join('');
+    }
+
+    it('should move one item between its neighbours', async () => {
+      const response = await reorder({ id: 'd', after: 'a', before: 'b' });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ ok: true, version: 2, moved: 3 });
+      expect(await storedOrder()).toBe('adbc');
+
+      await reorder({ id: 'c', after: null });
+      expect(await storedOrder()).toBe('cadb');
+    });
+
+    it('should not clobber an item added concurrently', async () => {
+      // Another device adds "e" before this client sends its reorder
+      await worker.fetch(createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'add', id: 'e', label: 'E', ts: 2000 }],
+      }), env);
+
+      await reorder({ id: 'a', after: 'd', before: null });
+      expect(await storedOrder()).toBe('bcdae');
+
+      // An ordered id list only shuffles the listed items within their slots
+      await reorder({ ids: ['d', 'c', 'b', 'a'] });
+      expect(await storedOrder()).toBe('dcbae');
+    });
+
+    it('should report unknown items and missing neighbours', async () => {
+      expect((await reorder({ id: 'zzz', after: 'a' })).status).toBe(404);
+      expect((await reorder({ id: 'a', after: 'gone', before: 'also-gone' })).status).toBe(409);
+
+      const invalid = await reorder({ id: 'a' });
+      expect(invalid.status).toBe(400);
+      expect(await invalid.json()).toMatchObject({ field: 'after' });
+      expect(await storedOrder()).toBe('abcd');
+    });
+  });
+
+  describe('POST /api/list/:token/bulk', () => {
+    const token = 'bulk-token-1234567890';
+
+    beforeEach(async () => {
+      await mockKV.put(`list:${token}`, JSON.stringify({
+        title: 'List',
+        items: [
+          { id: 'a', label: 'A', checked: true, tags: [], pos: 0, updated_at: 1000 },
+          { id: 'b', label: 'B', checked: false, tags: [], pos: 1, updated_at: 1000 },
+          { id: 'c', label: 'C', checked: true, tags: ['Coles'], pos: 2, updated_at: 1000 },
+        ],
+        version: 1,
+        updated_at: 1000,
+      }));
+    });
+
+    async function bulk(body) {
+      return worker.fetch(createRequest('POST', `/api/list/${token}/bulk`, body), env);
+    }
+
+    async function storedItems() {
+      return JSON.parse(await mockKV.get(`list:${token}`)).items;
+    }
+
+    it('should clear checked items in one version with tombstones', async () => {
+      const response = await bulk({ action: 'clear-checked' });
+
+      expect(response.status).toBe(200);
+      expect(await response.json()).toMatchObject({ ok: true, action: 'clear-checked', version: 2, affected: 2 });
+      const doc = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(doc.items.map(item => item.id)).toEqual(['b']);
+      expect(doc.tombstones.map(tombstone => tombstone.id).sort()).toEqual(['a', 'c']);
+
+      const history = await (await worker.fetch(createRequest('GET', `/api/list/${token}/history`), env)).json();
+      expect(history.versions[0].summary).toMatchObject({ removed: 2, bulk: 'clear-checked' });
+    });
+
+    it('should uncheck, check and retag items by id', async () => {
+      await bulk({ action: 'uncheck-all' });
+      expect((await storedItems()).map(item => item.checked)).toEqual([false, false, false]);
+
+      const response = await bulk({ action: 'set-checked-ids', ids: ['a', 'b', 'gone'], checked: true });
+      expect(await response.json()).toMatchObject({ affected: 2, skipped: ['gone'] });
+
+      await bulk({ action: 'retag-ids', ids: ['a', 'c'], tags: ['Woolies'] });
+      const items = await storedItems();
+      expect(items.map(item => item.checked)).toEqual([true, true, false]);
+      expect(items.map(item => item.tags)).toEqual([['Woolies'], [], ['Woolies']]);
+    });
+
+    it('should delete items by id', async () => {
+      await bulk({ action: 'delete-ids', ids: ['a', 'b'] });
+      expect((await storedItems()).map(item => item.id)).toEqual(['c']);
+    });
+
+    it('should reject invalid bulk requests without writing', async () => {
+      const cases = [
+        [{ action: 'explode' }, 'action'],
+        [{ action: 'delete-ids' }, 'ids'],
+        [{ action: 'retag-ids', ids: ['a'] }, 'tags'],
+        [{ action: 'set-checked-ids', ids: ['a'], checked: 'yes' }, 'checked'],
+      ];
+
+      for (const [body, field] of cases) {
+        const response = await bulk(body);
+        expect(response.status).toBe(400);
+        expect(await response.json()).toMatchObject({ field });
+      }
+      expect(JSON.parse(await mockKV.get(`list:${token}`)).version).toBe(1);
+    });
+  });
+
+  describe('Purchase Log', () => {
+    const token = 'purchase-token-1234567890';
+
+    async function getPurchases(query = '') {
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}/purchases${query}`), env);
+      return { status: response.status, data: await response.json() };
+    }
+
+    it('should log cleared items with quantity, price, store and who checked them', async () => {
+      await postOps(env, token, [
+        {
+          type: 'add', id: 'milk', label: 'Milk', quantity: 2, unit: 'L', tags: ['Coles'], ts: 1000,
+          product: { store: 'Coles', name: 'Coles Milk 2L', price: 3.5 },
+        },
+        { type: 'add', id: 'eggs', label: 'Eggs', ts: 1000 },
+        { type: 'toggle', id: 'milk', checked: true, by: ' Hika ', ts: 2000 },
+      ]);
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items.find(item => item.id === 'milk').checked_by).toBe('Hika');
+
+      await worker.fetch(createRequest('POST', `/api/list/${token}/bulk`, { action: 'clear-checked' }), env);
+
+      const { status, data } = await getPurchases();
+      expect(status).toBe(200);
+      expect(data.total).toBe(1);
+      expect(data.purchases[0]).toMatchObject({
+        item_id: 'milk',
+        label: 'Milk',
+        quantity: 2,
+        unit: 'L',
+        store: 'Coles',
+        price: 3.5,
+        checked_by: 'Hika',
+        checked_at: 2000,
+      });
+      expect(data.purchases[0].purchased_at).toBeGreaterThan(2000);
+    });
+
+    it('should only log deletes flagged as purchased and drop checked_by on untick', async () => {
+      await postOps(env, token, [
+        { type: 'add', id: 'a', label: 'Bread', checked: true, ts: 1000 },
+        { type: 'add', id: 'b', label: 'Typo', checked: true, ts: 1000 },
+        { type: 'add', id: 'c', label: 'Rice', ts: 1000 },
+        { type: 'toggle', id: 'c', checked: true, by: 'Luca', ts: 2000 },
+        { type: 'toggle', id: 'c', checked: false, ts: 3000 },
+      ]);
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items.find(item => item.id === 'c').checked_by).toBeUndefined();
+
+      await postOps(env, token, [
+        { type: 'delete', id: 'a', ts: 4000, purchased: true },
+        { type: 'delete', id: 'b', ts: 4000 },
+      ]);
+
+      const { data } = await getPurchases();
+      expect(data.purchases.map(entry => entry.label)).toEqual(['Bread']);
+    });
+
+    it('should log checked items removed by a PUT', async () => {
+      await putList(env, token, {
+        title: 'List',
+        items: [
+          { id: 'a', label: 'Bread', checked: true, tags: [], pos: 0, updated_at: 1000 },
+          { id: 'b', label: 'Rice', checked: false, tags: [], pos: 1, updated_at: 1000 },
+        ],
+        deletedItemIds: [],
+      });
+
+      await putList(env, token, { title: 'List', items: [], deletedItemIds: ['a', 'b'] });
+
+      const { data } = await getPurchases();
+      expect(data.purchases.map(entry => entry.label)).toEqual(['Bread']);
+    });
+
+    it('should log checked items removed by a socket put or bulk delete-ids', async () => {
+      await postOps(env, token, [
+        { type: 'add', id: 'a', label: 'Bread', checked: true, ts: 1000 },
+        { type: 'add', id: 'b', label: 'Rice', checked: true, ts: 1000 },
+        { type: 'add', id: 'c', label: 'Salt', ts: 1000 },
+      ]);
+
+      await worker.fetch(createRequest('POST', `/api/list/${token}/bulk`, { action: 'delete-ids', ids: ['a', 'c'] }), env);
+
+      const room = createRoom(env);
+      room.token = token;
+      const socket = new MockSocket();
+      await room.addSession(socket);
+      await socket.receive({ type: 'put', doc: { title: 'List', items: [], deletedItemIds: ['b'] } });
+
+      const { data } = await getPurchases();
+      expect(data.purchases.map(entry => entry.label)).toEqual(['Rice', 'Bread']);
+    });
+
+    it('should filter purchases by store and date and page through them', async () => {
+      await mockKV.put(`purchases:${token}`, JSON.stringify([
+        { label: 'C', tags: ['Woolies'], store: 'Woolies', purchased_at: Date.parse('2026-03-03T10:00:00Z') },
+        { label: 'B', tags: [], store: 'Coles', product: { store: 'Coles' }, purchased_at: Date.parse('2026-03-02T23:00:00Z') },
+        { label: 'A', tags: ['Woolies'], store: 'Woolies', purchased_at: Date.parse('2026-03-01T10:00:00Z') },
+      ]));
+
+      const byStore = await getPurchases('?store=woolies');
+      expect(byStore.data.purchases.map(entry => entry.label)).toEqual(['C', 'A']);
+
+      const byDate = await getPurchases('?from=2026-03-02&to=2026-03-02');
+      expect(byDate.data.purchases.map(entry => entry.label)).toEqual(['B']);
+
+      const firstPage = await getPurchases('?limit=2');
+      expect(firstPage.data).toMatchObject({ total: 3, next_offset: 2 });
+      const lastPage = await getPurchases('?limit=2&offset=2');
+      expect(lastPage.data.purchases.map(entry => entry.label)).toEqual(['A']);
+      expect(lastPage.data.next_offset).toBeNull();
+
+      expect((await getPurchases('?from=yesterday')).status).toBe(400);
+      expect((await getPurchases('?offset=-1')).status).toBe(400);
+    });
+  });
+
+  describe('GET /api/list/:token/suggestions', () => {
+    const token = 'suggest-token-1234567890';
+    const DAY = 24 * 60 * 60 * 1000;
+
+    // Purchases `daysAgo` days back (newest first, like the stored log)
+    function purchases(label, daysAgo, extra = {}) {
+      return daysAgo.map(days => ({ label, tags: [], purchased_at: Date.now() - days * DAY, ...extra }));
+    }
+
+    async function getSuggestions(query = '') {
+      const response = await worker.fetch(createRequest('GET', `/api/list/${token}/suggestions${query}`), env);
+      return { status: response.status, data: await response.json() };
+    }
+
+    it('should suggest regularly bought items that are due and not on the list', async () => {
+      await mockKV.put(`purchases:${token}`, JSON.stringify([
+        ...purchases('Milk', [7, 14, 14.1, 21], { tags: ['Coles'], quantity: 2, unit: 'L' }),
+        ...purchases('Eggs', [2, 12, 22]),
+        ...purchases('Bread', [7, 14, 21]),
+        ...purchases('Chips', [30]),
+        ...purchases('Jam', [60, 67, 74]),
+      ]));
+      await mockKV.put(`list:${token}`, JSON.stringify({
+        title: 'List',
+        items: [{ id: 'b', label: ' bread ', checked: false, tags: [], pos: 0, updated_at: 1000 }],
+        version: 1,
+      }));
+
+      const { status, data } = await getSuggestions();
+
+      expect(status).toBe(200);
+      expect(data.suggestions).toHaveLength(1);
+      expect(data.suggestions[0]).toMatchObject({
+        label: 'Milk',
+        tags: ['Coles'],
+        quantity: 2,
+        unit: 'L',
+        purchase_count: 3,
+        interval_days: 7,
+        due_in_days: 0,
+      });
+    });
+
+    it('should put the most overdue items first and honour the limit', async () => {
+      await mockKV.put(`purchases:${token}`, JSON.stringify([
+        ...purchases('Milk', [6, 13, 20]),
+        ...purchases('Eggs', [12, 22, 32]),
+      ]));
+
+      const all = await getSuggestions();
+      expect(all.data.suggestions.map(suggestion => suggestion.label)).toEqual(['Eggs', 'Milk']);
+
+      const limited = await getSuggestions('?limit=1');
+      expect(limited.data.suggestions.map(suggestion => suggestion.label)).toEqual(['Eggs']);
+    });
+
+    it('should return no suggestions without a purchase log', async () => {
+      const { status, data } = await getSuggestions();
+      expect(status).toBe(200);
+      expect(data.suggestions).toEqual([]);
+    });
+  });
+
+  describe('HTTP Method Handling', () => {
+    it('should reject unsupported HTTP methods', async () => {
+      const request = new Request('https://example.com/api/list/token-12345678901234', {
+        method: 'PATCH',
+      });
+
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(405);
+      const data = await response.json();
+      expect(data.error).toContain('Method not allowed');
+    });
+  });
+
+  describe('POST /api/list/:token/ops', () => {
+    const token = 'ops-token-1234567890';
+
+    beforeEach(async () => {
+      await mockKV.put(`list:${token}`, JSON.stringify({
+        title: 'List',
+        items: [
+          { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 },
+          { id: 'item-2', label: 'Eggs', checked: false, tags: [], pos: 1, updated_at: 1000 },
+        ],
+        version: 3,
+        updated_at: 1000,
+      }));
+    });
+
+    it('should apply a batch of ops and return the new version', async () => {
+      const request = createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'add', id: 'item-3', ts: 2000, label: 'Bread', tags: ['Coles'] },
+          { type: 'update-label', id: 'item-1', ts: 2000, label: 'Milk 2L' },
+          { type: 'toggle', id: 'item-2', ts: 2000, checked: true },
+          { type: 'retag', id: 'item-1', ts: 2001, tags: ['Woolies'] },
+        ],
+      });
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.version).toBe(4);
+      expect(data.applied).toBe(4);
+      expect(data.skipped).toEqual([]);
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items.map(item => item.label)).toEqual(['Milk 2L', 'Eggs', 'Bread']);
+      expect(stored.items[0].tags).toEqual(['Woolies']);
+      expect(stored.items[0].updated_at).toBe(2001);
+      expect(stored.items[1].checked).toBe(true);
+      expect(stored.items[2].pos).toBe(2);
+    });
+
+    it('should move and delete items', async () => {
+      const request = createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'add', id: 'item-3', ts: 2000, label: 'Bread' },
+          { type: 'move', id: 'item-3', ts: 2000, pos: -1 },
+          { type: 'delete', id: 'item-2', ts: 2000 },
+        ],
+      });
+      await worker.fetch(request, env);
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items.map(item => item.id)).toEqual(['item-3', 'item-1']);
+      expect(stored.items.map(item => item.pos)).toEqual([0, 1]);
+    });
+
+    it('should skip stale ops and ops on missing items', async () => {
+      const request = createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'update-label', id: 'item-1', ts: 500, label: 'Old edit' },
+          { type: 'toggle', id: 'gone-item', ts: 2000 },
+          { type: 'toggle', id: 'item-2', ts: 2000 },
+        ],
+      });
+      const response = await worker.fetch(request, env);
+      const data = await response.json();
+
+      expect(data.applied).toBe(1);
+      expect(data.skipped).toEqual([0, 1]);
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.items[0].label).toBe('Milk');
+      expect(stored.items[1].checked).toBe(true);
+    });
+
+    it('should reject the whole batch when one op is invalid', async () => {
+      const request = createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [
+          { type: 'toggle', id: 'item-1', ts: 2000 },
+          { type: 'rename', id: 'item-2', ts: 2000, label: 'Nope' },
+        ],
+      });
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(400);
+      const data = await response.json();
+      expect(data.error).toBe('Invalid op type at index 1');
+
+      const stored = JSON.parse(await mockKV.get(`list:${token}`));
+      expect(stored.version).toBe(3);
+      expect(stored.items[0].checked).toBe(false);
+    });
+
+    it('should reject ops without a timestamp or an empty batch', async () => {
+      const missingTs = createRequest('POST', `/api/list/${token}/ops`, {
+        ops: [{ type: 'toggle', id: 'item-1' }],
+      });
+      const missingTsResponse = await worker.fetch(missingTs, env);
+      expect(missingTsResponse.status).toBe(400);
+
+      const empty = createRequest('POST', `/api/list/${token}/ops`, { ops: [] });
+      const emptyResponse = await worker.fetch(empty, env);
+      expect(emptyResponse.status).toBe(400);
+    });
+  });
+
+  describe('Live Sync (ListRoom)', () => {
+    it('should require a WebSocket upgrade on /ws', async () => {
+      const request = createRequest('GET', '/api/list/socket-token-123456/ws');
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(426);
+    });
+
+    it('should report live sync as unavailable without a LIST_ROOM binding', async () => {
+      const request = new Request('https://example.com/api/list/socket-token-123456/ws', {
+        headers: { Upgrade: 'websocket' },
+      });
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(501);
+    });
+
+    it('should reject unknown list sub-paths', async () => {
+      const request = createRequest('GET', '/api/list/socket-token-123456/unknown');
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(404);
+    });
+
+    it('should send the current document when a session joins', async () => {
+      await mockKV.put('list:room-token-1234567', JSON.stringify({
+        title: 'Room',
+        items: [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }],
+        version: 4,
+        updated_at: 1000,
+      }));
+
+      const room = createRoom(env);
+      room.token = 'room-token-1234567';
+      const socket = new MockSocket();
+      await room.addSession(socket);
+
+      expect(socket.lastMessage().type).toBe('list');
+      expect(socket.lastMessage().doc.version).toBe(4);
+      expect(socket.lastMessage().doc.items[0].label).toBe('Milk');
+    });
+
+    it('should merge socket edits like PUT and broadcast to every session', async () => {
+      await mockKV.put('list:room-token-1234567', JSON.stringify({
+        title: 'Room',
+        items: [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }],
+        version: 1,
+        updated_at: 1000,
+      }));
+
+      const room = createRoom(env);
+      room.token = 'room-token-1234567';
+      const socketA = new MockSocket();
+      const socketB = new MockSocket();
+      await room.addSession(socketA);
+      await room.addSession(socketB);
+
+      await socketA.receive({
+        type: 'put',
+        doc: {
+          title: 'Room',
+          items: [{ id: 'item-2', label: 'Bread', checked: false, tags: [], pos: 1, updated_at: 2000 }],
+          deletedItemIds: [],
+        },
+      });
+
+      for (const socket of [socketA, socketB]) {
+        const message = socket.lastMessage();
+        expect(message.type).toBe('list');
+        expect(message.doc.version).toBe(2);
+        expect(message.doc.items.map(item => item.label)).toEqual(['Milk', 'Bread']);
+      }
+
+      const stored = JSON.parse(await mockKV.get('list:room-token-1234567'));
+      expect(stored.version).toBe(2);
+      expect(stored.items).toHaveLength(2);
+    });
+
+    it('should apply ops sent over a socket', async () => {
+      const room = createRoom(env);
+      room.token = 'room-token-1234567';
+      const socket = new MockSocket();
+      await room.addSession(socket);
+
+      await socket.receive({
+        type: 'ops',
+        ops: [{ type: 'add', id: 'item-1', ts: 1000, label: 'Milk' }],
+      });
+
+      expect(socket.lastMessage().doc.version).toBe(1);
+      expect(socket.lastMessage().doc.items[0].label).toBe('Milk');
+    });
+
+    it('should acknowledge a saved edit to its sender with the ref it was sent with', async () => {
+      const room = createRoom(env);
+      room.token = 'room-token-1234567';
+      const socketA = new MockSocket();
+      const socketB = new MockSocket();
+      await room.addSession(socketA);
+      await room.addSession(socketB);
+
+      await socketA.receive({ type: 'ops', ops: [{ type: 'add', id: 'item-1', ts: 1000, label: 'Milk' }], ref: 7 });
+
+      expect(socketA.lastMessage()).toEqual({ type: 'ack', ref: 7, version: 1 });
+      expect(socketB.lastMessage().type).toBe('list');
+      expect(JSON.parse(await mockKV.get('list:room-token-1234567')).version).toBe(1);
+    });
+
+    it('should tag socket errors with the ref and ask for a retry when saving fails', async () => {
+      const room = createRoom(env);
+      room.token = 'room-token-1234567';
+      const socket = new MockSocket();
+      await room.addSession(socket);
+      const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await socket.receive({ type: 'ops', ops: [{ type: 'rename', id: 'item-1', ts: 1000 }], ref: 1 });
+      expect(socket.lastMessage()).toEqual({ type: 'error', error: 'Invalid op type at index 0', index: 0, field: 'type', ref: 1 });
+
+      mockKV.put = async () => {
+        throw new Error('KV unavailable');
+      };
+      await socket.receive({ type: 'ops', ops: [{ type: 'add', id: 'item-1', ts: 1000, label: 'Milk' }], ref: 2 });
+      expect(socket.lastMessage()).toEqual({ type: 'error', error: 'Failed to save list', ref: 2, retry: true });
+
+      consoleErrorSpy.mockRestore();
+    });
+
+    it('should keep acknowledged edits in Durable Object storage when KV is stale', async () => {
+      const storage = new MockDurableStorage();
+      const room = new ListRoom({ storage }, env);
+      room.token = 'room-token-1234567';
+      const socket = new MockSocket();
+      await room.addSession(socket);
+      await socket.receive({ type: 'ops', ops: [{ type: 'add', id: 'item-1', ts: 1000, label: 'Milk' }], ref: 1 });
+      const afterFirst = await mockKV.get('list:room-token-1234567');
+      await socket.receive({ type: 'ops', ops: [{ type: 'add', id: 'item-2', ts: 2000, label: 'Bread' }], ref: 2 });
+
+      // The room is evicted and KV still serves the first version
+      await mockKV.put('list:room-token-1234567', afterFirst);
+      const coldRoom = new ListRoom({ storage }, env);
+      coldRoom.token = 'room-token-1234567';
+      const coldSocket = new MockSocket();
+      await coldRoom.addSession(coldSocket);
+
+      expect(coldSocket.lastMessage().doc.version).toBe(2);
+      expect(coldSocket.lastMessage().doc.items.map(item => item.label)).toEqual(['Milk', 'Bread']);
+    });
+
+    it('should start a cold room from KV when KV holds a newer version', async () => {
+      const storage = new MockDurableStorage();
+      await storage.put('doc', { title: 'Old', items: [], tombstones: [], version: 1, updated_at: 1000 });
+      await mockKV.put('list:room-token-1234567', JSON.stringify({ title: 'New', items: [], version: 3, updated_at: 3000 }));
+
+      const room = new ListRoom({ storage }, env);
+      room.token = 'room-token-1234567';
+
+      expect((await room.loadDocument()).title).toBe('New');
+    });
+
+    it('should answer invalid socket edits with an error to the sender only', async () => {
+      const room = createRoom(env);
+      room.token = 'room-token-1234567';
+      const socketA = new MockSocket();
+      const socketB = new MockSocket();
+      await room.addSession(socketA);
+      await room.addSession(socketB);
+
+      await socketA.receive({ type: 'put', doc: { title: 'Room', items: [{ label: 'No id', checked: false }] } });
+
+      expect(socketA.lastMessage()).toEqual({ type: 'error', error: 'Item missing id', index: 0, field: 'id' });
+      expect(socketB.lastMessage().type).toBe('list');
+      expect(await mockKV.get('list:room-token-1234567')).toBeNull();
+    });
+
+    it('should give socket errors the same limit details as HTTP', async () => {
+      env.MAX_BODY_BYTES = '1024';
+      const room = createRoom(env);
+      room.token = 'room-token-1234567';
+      const socket = new MockSocket();
+      await room.addSession(socket);
+
+      await socket.receive({ type: 'ops', ops: [{ type: 'add', id: 'item-1', ts: 1000, label: 'x'.repeat(2000) }], ref: 1 });
+
+      expect(socket.lastMessage()).toEqual({ type: 'error', error: 'Request body too large', limit: 1024 });
+    });
+
+    it('should report the event stream as unavailable without a LIST_ROOM binding', async () => {
+      const request = createRequest('GET', '/api/list/events-token-123456/events');
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(501);
+    });
+
+    it('should stream the current document and then changed items as list-updated events', async () => {
+      await mockKV.put('list:events-token-123456', JSON.stringify({
+        title: 'Room',
+        items: [
+          { id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 },
+          { id: 'item-2', label: 'Eggs', checked: false, tags: [], pos: 1, updated_at: 1000 },
+        ],
+        version: 1,
+        updated_at: 1000,
+      }));
+
+      const room = createRoom(env);
+      const response = await room.fetch(new Request('https://list-room/events', {
+        headers: { 'X-List-Token': 'events-token-123456' },
+      }));
+
+      expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      const readEvent = async () => {
+        const { value } = await reader.read();
+        const text = decoder.decode(value);
+        const [, event] = text.match(/^event: (.+)$/m);
+        const [, data] = text.match(/^data: (.+)$/m);
+        return { event, data: JSON.parse(data) };
+      };
+
+      const first = await readEvent();
+      expect(first.event).toBe('list');
+      expect(first.data.version).toBe(1);
+
+      await room.fetch(new Request('https://list-room/broadcast', {
+        method: 'POST',
+        headers: { 'X-List-Token': 'events-token-123456' },
+        body: JSON.stringify({
+          title: 'Room',
+          items: [
+            { id: 'item-1', label: 'Milk', checked: true, tags: [], pos: 0, updated_at: 2000 },
+            { id: 'item-3', label: 'Bread', checked: false, tags: [], pos: 1, updated_at: 2000 },
+          ],
+          version: 2,
+          updated_at: 2000,
+        }),
+      }));
+
+      const second = await readEvent();
+      expect(second.event).toBe('list-updated');
+      expect(second.data.version).toBe(2);
+      expect(second.data.items.map(item => item.id)).toEqual(['item-1', 'item-3']);
+      expect(second.data.removedIds).toEqual(['item-2']);
+
+      await reader.cancel();
+    });
+
+    describe('Long polling (/wait)', () => {
+      const waitToken = 'wait-token-1234567890';
+
+      function waitRequest(since) {
+        return new Request(`https://list-room/wait?since=${since}`, {
+          headers: { 'X-List-Token': waitToken },
+        });
+      }
+
+      beforeEach(async () => {
+        await mockKV.put(`list:${waitToken}`, JSON.stringify({
+          title: 'Room',
+          items: [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }],
+          version: 3,
+          updated_at: 1000,
+        }));
+      });
+
+      it('should answer at once when the stored version is past since', async () => {
+        const room = createRoom(env);
+        const response = await room.fetch(waitRequest(2));
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get('ETag')).toBe('"3"');
+        expect((await response.json()).version).toBe(3);
+      });
+
+      it('should hold the request until a newer version is published', async () => {
+        const room = createRoom(env);
+        let settled = false;
+        const pending = room.fetch(waitRequest(3)).then((response) => {
+          settled = true;
+          return response;
+        });
+
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(settled).toBe(false);
+
+        await room.fetch(new Request('https://list-room/broadcast', {
+          method: 'POST',
+          headers: { 'X-List-Token': waitToken },
+          body: JSON.stringify({ title: 'Room', items: [], version: 4, updated_at: 2000 }),
+        }));
+
+        const response = await pending;
+        expect(response.status).toBe(200);
+        expect((await response.json()).version).toBe(4);
+        expect(room.waiters.size).toBe(0);
+      });
+
+      it('should answer when the list is deleted and its version starts again', async () => {
+        const room = createRoom(env);
+        const ahead = await room.fetch(waitRequest(12));
+        expect(ahead.status).toBe(200);
+        expect((await ahead.json()).version).toBe(3);
+
+        const pending = room.fetch(waitRequest(3));
+        await new Promise(resolve => setTimeout(resolve, 10));
+        await room.fetch(new Request('https://list-room/broadcast', {
+          method: 'POST',
+          headers: { 'X-List-Token': waitToken, 'X-List-Reset': '1' },
+          body: JSON.stringify({ title: 'Shopping', items: [], version: 0, updated_at: 2000 }),
+        }));
+
+        const response = await pending;
+        expect(response.status).toBe(200);
+        expect((await response.json()).version).toBe(0);
+      });
+
+      it('should answer 204 when the wait times out', async () => {
+        env.LONG_POLL_TIMEOUT_SECONDS = '0.01';
+        const room = createRoom(env);
+
+        const response = await room.fetch(waitRequest(3));
+
+        expect(response.status).toBe(204);
+        expect(room.waiters.size).toBe(0);
+      });
+
+      it('should validate since and require a LIST_ROOM binding', async () => {
+        const invalid = await worker.fetch(createRequest('GET', `/api/list/${waitToken}/wait?since=abc`), env);
+        expect(invalid.status).toBe(400);
+
+        const unbound = await worker.fetch(createRequest('GET', `/api/list/${waitToken}/wait?since=3`), env);
+        expect(unbound.status).toBe(501);
+      });
+
+      it('should forward the wait to the room', async () => {
+        const roomFetch = vi.fn(async () => new Response(null, { status: 204 }));
+        env.LIST_ROOM = {
+          idFromName: (name) => name,
+          get: () => ({ fetch: roomFetch }),
+        };
+
+        const response = await worker.fetch(createRequest('GET', `/api/list/${waitToken}/wait?since=3`), env);
+
+        expect(response.status).toBe(204);
+        const [roomRequest] = roomFetch.mock.calls[0];
+        expect(roomRequest.url).toBe('https://list-room/wait?since=3');
+        expect(roomRequest.headers.get('X-List-Token')).toBe(waitToken);
+      });
+    });
+
+    describe('HTTP writes with a LIST_ROOM binding', () => {
+      const roomToken = 'notify-token-123456';
+      let room;
+
+      beforeEach(() => {
+        room = createRoom(env);
+        env.LIST_ROOM = {
+          idFromName: (name) => name,
+          get: () => ({ fetch: (input, init) => room.fetch(new Request(input, init)) }),
+        };
+      });
+
+      it('should run PUT, ops, bulk and reorder inside the room and push them to its sessions', async () => {
+        const socket = new MockSocket();
+        room.token = roomToken;
+        await room.addSession(socket);
+
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+        expect(socket.lastMessage().doc.version).toBe(1);
+
+        await postOps(env, roomToken, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Bread' }]);
+        await worker.fetch(createRequest('POST', `/api/list/${roomToken}/reorder`, { ids: ['item-2', 'item-1'] }), env);
+        const bulk = await worker.fetch(createRequest('POST', `/api/list/${roomToken}/bulk`, { action: 'set-checked-ids', ids: ['item-1'], checked: true }), env);
+
+        expect((await bulk.json()).version).toBe(4);
+        const { doc } = socket.lastMessage();
+        expect(doc.version).toBe(4);
+        expect(doc.items.map(item => [item.label, item.checked])).toEqual([['Bread', false], ['Milk', true]]);
+        expect(JSON.parse(await mockKV.get(`list:${roomToken}`)).version).toBe(4);
+      });
+
+      it('should merge HTTP writes against the room document, not a stale KV copy', async () => {
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+        const fresh = await mockKV.get(`list:${roomToken}`);
+        await postOps(env, roomToken, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Bread' }]);
+
+        // KV has not caught up with the last write yet
+        await mockKV.put(`list:${roomToken}`, fresh);
+        const response = await postOps(env, roomToken, [{ type: 'add', id: 'item-3', ts: 3000, label: 'Eggs' }]);
+
+        expect((await response.json()).version).toBe(3);
+        const stored = JSON.parse(await mockKV.get(`list:${roomToken}`));
+        expect(stored.items.map(item => item.label)).toEqual(['Milk', 'Bread', 'Eggs']);
+      });
+
+      it('should restore against the room document, not a stale KV copy', async () => {
+        env.HISTORY_MERGE_SECONDS = '0';
+        const socket = new MockSocket();
+        room.token = roomToken;
+        await room.addSession(socket);
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+        const fresh = await mockKV.get(`list:${roomToken}`);
+        await postOps(env, roomToken, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Bread' }]);
+
+        await mockKV.put(`list:${roomToken}`, fresh);
+        const response = await worker.fetch(createRequest('POST', `/api/list/${roomToken}/restore`, { version: 1 }), env);
+
+        expect((await response.json()).version).toBe(3);
+        const { doc } = socket.lastMessage();
+        expect(doc.version).toBe(3);
+        expect(doc.items.map(item => item.label)).toEqual(['Milk']);
+        expect(JSON.parse(await mockKV.get(`list:${roomToken}`)).version).toBe(3);
+      });
+
+      it('should undelete against the room document, not a stale KV copy', async () => {
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+        await worker.fetch(createRequest('DELETE', `/api/list/${roomToken}`), env);
+        await postOps(env, roomToken, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Bread' }]);
+
+        // KV has not seen the item added after the delete yet
+        await mockKV.delete(`list:${roomToken}`);
+        const response = await worker.fetch(createRequest('POST', `/api/list/${roomToken}/undelete`), env);
+
+        const data = await response.json();
+        expect(data.items.map(item => item.label)).toEqual(['Milk', 'Bread']);
+        expect(room.doc.version).toBe(data.version);
+        expect(JSON.parse(await mockKV.get(`list:${roomToken}`)).items).toHaveLength(2);
+      });
+
+      it('should set and remove the passphrase against the room document', async () => {
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+        const fresh = await mockKV.get(`list:${roomToken}`);
+        await postOps(env, roomToken, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Bread' }]);
+        await mockKV.put(`list:${roomToken}`, fresh);
+
+        const locked = await worker.fetch(createRequest('POST', `/api/list/${roomToken}/lock`, { passphrase: 'correct horse' }), env);
+        const { session } = await locked.json();
+
+        expect(room.doc.version).toBe(3);
+        expect(room.doc.meta.lock).toBeTruthy();
+        expect(room.doc.items.map(item => item.label)).toEqual(['Milk', 'Bread']);
+
+        const request = createRequest('DELETE', `/api/list/${roomToken}/lock`);
+        request.headers.set('Authorization', `Bearer ${session}`);
+        await worker.fetch(request, env);
+
+        expect(room.doc.version).toBe(4);
+        expect(room.doc.meta.lock).toBeUndefined();
+        expect(JSON.parse(await mockKV.get(`list:${roomToken}`)).items).toHaveLength(2);
+      });
+
+      it('should rotate the room document and close the old room', async () => {
+        const socket = new MockSocket();
+        room.token = roomToken;
+        await room.addSession(socket);
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+        const fresh = await mockKV.get(`list:${roomToken}`);
+        await postOps(env, roomToken, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Bread' }]);
+        await mockKV.put(`list:${roomToken}`, fresh);
+
+        const response = await worker.fetch(createRequest('POST', `/api/list/${roomToken}/rotate`), env);
+        const { token: newToken } = await response.json();
+
+        const moved = JSON.parse(await mockKV.get(`list:${newToken}`));
+        expect(moved.items.map(item => item.label)).toEqual(['Milk', 'Bread']);
+        expect(JSON.parse(await mockKV.get(`redirect:${roomToken}`)).token).toBe(newToken);
+        expect(socket.lastMessage()).toEqual({ type: 'moved' });
+        expect(room.doc).toBeNull();
+        expect(await room.state.storage.get('doc')).toBeUndefined();
+      });
+
+      it('should add and rename workspace lists against the room document', async () => {
+        const ws = 'room-workspace-123456';
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+        const fresh = await mockKV.get(`list:${roomToken}`);
+        await postOps(env, roomToken, [{ type: 'add', id: 'item-2', ts: 2000, label: 'Bread' }]);
+        await mockKV.put(`list:${roomToken}`, fresh);
+
+        const created = await worker.fetch(createRequest('POST', `/api/workspace/${ws}/lists`, { name: 'Family', token: roomToken }), env);
+        const { list } = await created.json();
+        expect(room.doc.version).toBe(2);
+
+        await worker.fetch(createRequest('PATCH', `/api/workspace/${ws}/lists/${list.id}`, { name: 'Weekend' }), env);
+
+        expect(room.doc.version).toBe(3);
+        expect(room.doc.title).toBe('Weekend');
+        expect(room.doc.items.map(item => item.label)).toEqual(['Milk', 'Bread']);
+        expect(JSON.parse(await mockKV.get(`list:${roomToken}`)).items).toHaveLength(2);
+      });
+
+      it('should still answer If-Match conflicts from inside the room', async () => {
+        await putItems(env, roomToken, []);
+
+        const request = createRequest('POST', `/api/list/${roomToken}/ops`, { ops: [{ type: 'add', id: 'item-1', ts: 1000, label: 'Milk' }] });
+        request.headers.set('If-Match', '"7"');
+        const response = await worker.fetch(request, env);
+
+        expect(response.status).toBe(409);
+      });
+
+      it('should ignore broadcasts older than the document it holds', async () => {
+        const socket = new MockSocket();
+        room.token = roomToken;
+        await room.addSession(socket);
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+        const sent = socket.sent.length;
+
+        await room.fetch(new Request('https://list-room/broadcast', {
+          method: 'POST',
+          headers: { 'X-List-Token': roomToken },
+          body: JSON.stringify({ title: 'Stale', items: [], version: 1, updated_at: 500 }),
+        }));
+
+        expect(socket.sent.length).toBe(sent);
+        expect(room.doc.title).toBe('Shopping');
+      });
+
+      it('should reset the room when the list is deleted', async () => {
+        await putItems(env, roomToken, [{ id: 'item-1', label: 'Milk', checked: false, tags: [], pos: 0, updated_at: 1000 }]);
+
+        await worker.fetch(createRequest('DELETE', `/api/list/${roomToken}`), env);
+        await putItems(env, roomToken, [{ id: 'item-2', label: 'Bread', checked: false, tags: [], pos: 0, updated_at: 2000 }]);
+
+        expect(room.doc.version).toBe(1);
+        expect(room.doc.items.map(item => item.label)).toEqual(['Bread']);
+      });
+    });
+  });
+
+  describe('POST /api/generate - AI Shopping List Generation', () => {
+    let consoleErrorSpy;
+
+    beforeEach(() => {
+      // Mock OpenRouter API key
+      env.OPENROUTER_API_KEY = 'test-api-key';
+      env.MODEL = 'meta-llama/llama-3-70b-instruct';
+      consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      if (consoleErrorSpy) {
+        consoleErrorSpy.mockRestore();
+      }
+    });
+
+    it('should reject request without prompt', async () => {
+      const request = createRequest('POST', '/api/generate', {
+        token: 'test-token-123456',
+      });
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(400);
+      const data = await response.json();
+      expect(data.error).toContain('prompt');
+    });
+
+    it('should reject request without token', async () => {
+      const request = createRequest('POST', '/api/generate', {
+        prompt: 'テスト用の買い物リスト',
+      });
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(400);
+      const data = await response.json();
+      expect(data.error).toContain('token');
+    });
+
+    it('should reject request with invalid token format', async () => {
+      const request = createRequest('POST', '/api/generate', {
+        prompt: 'テスト用の買い物リスト',
+        token: 'short',
+      });
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(400);
+      const data = await response.json();
+      expect(data.error).toContain('Invalid token format');
+    });
+
+    it('should reject request with empty prompt', async () => {
+      const request = createRequest('POST', '/api/generate', {
+        prompt: '   ',
+        token: 'test-token-123456',
+      });
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(400);
+      const data = await response.json();
+      expect(data.error).toContain('prompt');
+    });
+
+    it('should handle missing API key gracefully', async () => {
+      delete env.OPENROUTER_API_KEY;
+
+      const request = createRequest('POST', '/api/generate', {
+        prompt: 'テスト用の買い物リスト',
+        token: 'test-token-123456',
+      });
+      const response = await worker.fetch(request, env);
+
+      expect(response.status).toBe(500);
+      const data = await response.json();
+      expect(data.error).toContain('AI service not configured');
     });
 
   it('should successfully generate suggestions with mocked OpenRouter response', async () => {
@@ -935,6 +3548,83 @@ describe('Cloudflare Worker API', () => {
       global.fetch = originalFetch;
     });
 
+    it('should keep quantities supplied by the AI', async () => {
+      const originalFetch = global.fetch;
+      global.fetch = vi.fn((url, options) => {
+        if (url.includes('openrouter.ai')) {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: async () => ({
+              choices: [{
+                message: {
+                  content: JSON.stringify({
+                    items: [
+                      { label: '牛肉', tags: ['Woolies'], quantity: 500, unit: 'g' },
+                      { label: '玉ねぎ', tags: ['Coles'], quantity: '2', unit: '個' },
+                      { label: '塩', tags: ['Coles'] },
+                    ],
+                  }),
+                },
+              }],
+            }),
+          });
+        }
+        return originalFetch(url, options);
+      });
+
+      const response = await worker.fetch(createRequest('POST', '/api/generate', {
+        prompt: '肉じゃが',
+        token: 'generate-quantity-token-123',
+      }), env);
+      const data = await response.json();
+
+      expect(data.suggestions[0]).toMatchObject({ quantity: 500, unit: 'g' });
+      // Unknown unit: the number is kept without it
+      expect(data.suggestions[1]).toMatchObject({ quantity: 2, unit: null });
+      expect(data.suggestions[2]).not.toHaveProperty('quantity');
+
+      global.fetch = originalFetch;
+    });
+
+    it('should keep valid AI categories and guess the rest', async () => {
+      const originalFetch = global.fetch;
+      global.fetch = vi.fn((url, options) => {
+        if (url.includes('openrouter.ai')) {
+          return Promise.resolve({
+            ok: true,
+            status: 200,
+            json: async () => ({
+              choices: [{
+                message: {
+                  content: JSON.stringify({
+                    items: [
+                      { label: '豆腐', tags: ['Asian Grocery'], category: 'produce' },
+                      { label: '玉ねぎ', tags: ['Coles'], category: 'vegetables' },
+                      { label: '誕生日カード', tags: ['Kmart'] },
+                    ],
+                  }),
+                },
+              }],
+            }),
+          });
+        }
+        return originalFetch(url, options);
+      });
+
+      const response = await worker.fetch(createRequest('POST', '/api/generate', {
+        prompt: '味噌汁',
+        token: 'generate-category-token-123',
+      }), env);
+      const data = await response.json();
+
+      expect(data.suggestions[0].category).toBe('produce');
+      expect(data.suggestions[1].category).toBe('produce');
+      expect(data.suggestions[2]).not.toHaveProperty('category');
+
+      global.fetch = originalFetch;
+    });
+
     it('should handle OpenRouter response with code fences', async () => {
       const token = 'generate-fence-token-123';
       